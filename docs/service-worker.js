@@ -0,0 +1,164 @@
+// Service Worker - keeps the site usable when GitHub Pages is blocked or slow
+// build-site.js writes docs/service-worker.js from this file, replacing
+// self.__PRECACHE_MANIFEST with the site files, sboms/index.json and
+// sboms/package-index.json plus a hash of their contents. Any change to those
+// files changes this script, so browsers install the new version on their next visit.
+//
+// - Precached files are served from the cache (query strings like ?v=3 ignored)
+// - SBOM files (and the vulnerability findings and VEX next to them) are
+//   cached the first time they are fetched, then served from the cache and
+//   refreshed in the background
+
+const PRECACHE_MANIFEST = {
+    "version": "8f7c2e8f0780",
+    "files": [
+        {
+            "url": "index.html",
+            "revision": "993aefbb14d5"
+        },
+        {
+            "url": "styles.css",
+            "revision": "019391c96fe4"
+        },
+        {
+            "url": "app.js",
+            "revision": "3d137a9042ec"
+        },
+        {
+            "url": "logo.svg",
+            "revision": "21a0c35539f8"
+        },
+        {
+            "url": "contrast-icon.svg",
+            "revision": "1e0a3e5d535c"
+        },
+        {
+            "url": "dependency-tree.html",
+            "revision": "8c751aa7846c"
+        },
+        {
+            "url": "dependency-tree.js",
+            "revision": "d64f4be77f34"
+        },
+        {
+            "url": "sbom-parser.js",
+            "revision": "6e33329b9a91"
+        },
+        {
+            "url": "tree-export.js",
+            "revision": "081ee14e19c3"
+        },
+        {
+            "url": "tree-graph.js",
+            "revision": "ad03491bf3e1"
+        },
+        {
+            "url": "versions.js",
+            "revision": "342185d0342f"
+        },
+        {
+            "url": "catalog-query.js",
+            "revision": "e9c066dc57e6"
+        },
+        {
+            "url": "license-policy.js",
+            "revision": "cd5ae1718cd4"
+        },
+        {
+            "url": "sbom-worker.js",
+            "revision": "719b8117966b"
+        },
+        {
+            "url": "vulnerabilities.js",
+            "revision": "34d88d55bae3"
+        },
+        {
+            "url": "license-policy.json",
+            "revision": "83ac84879e7e"
+        },
+        {
+            "url": "sboms/index.json",
+            "revision": "83be39558371"
+        },
+        {
+            "url": "sboms/package-index.json",
+            "revision": "4820568a3030"
+        },
+        {
+            "url": "sboms/license-summary.json",
+            "revision": "bb02dee722a7"
+        }
+    ]
+};
+const PRECACHE = `sbom-site-${PRECACHE_MANIFEST.version}`;
+const SBOM_CACHE = 'sbom-files-v1'; // Must match OFFLINE_SBOM_CACHE in app.js
+const SBOM_PATH = /\/sboms\/[^/]+\/[^/]+\/(?:sbom\.\w+|vex\.cyclonedx|vulnerabilities|version)\.json$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE)
+            .then(cache => cache.addAll(PRECACHE_MANIFEST.files.map(file =>
+                new Request(file.url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the precache of previous builds; cached SBOMs are kept
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('sbom-site-') && name !== PRECACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (SBOM_PATH.test(url.pathname)) {
+        event.respondWith(respondWithSbom(event, url));
+        return;
+    }
+
+    event.respondWith(respondWithPrecache(request, url));
+});
+
+async function respondWithPrecache(request, url) {
+    const cache = await caches.open(PRECACHE);
+    const key = request.mode === 'navigate' && url.pathname.endsWith('/')
+        ? `${url.pathname}index.html`
+        : url.pathname;
+    const cached = await cache.match(key, { ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+// Cached copy first when there is one; the network response replaces it for next time
+async function respondWithSbom(event, url) {
+    const cache = await caches.open(SBOM_CACHE);
+    const key = `${url.origin}${url.pathname}`;
+    const cached = await cache.match(key);
+
+    const update = fetch(event.request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(key, response.clone());
+            if (!cached) notifySbomCached(key);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+// Let open pages mark the version as available offline
+async function notifySbomCached(key) {
+    const clients = await self.clients.matchAll();
+    clients.forEach(client => client.postMessage({ type: 'sbom-cached', url: key }));
+}
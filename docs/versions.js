@@ -0,0 +1,56 @@
+// Version helpers - shared by the main page and the SBOM worker
+
+// Compare two versions with SemVer precedence, loosened for the dot separated
+// versions other ecosystems use: the release parts first (numerically where
+// possible), then a prerelease ranks below its release, then the prerelease
+// identifiers. Build metadata after "+" is ignored.
+//   compareVersions('2.15.0-rc1', '2.15.0')            === -1
+//   compareVersions('1.0-SNAPSHOT', '1.0')              === -1
+//   compareVersions('2.0.0-rc.2', '2.0.0-rc.10')        === -1
+//   compareVersions('1.2.3+build.5', '1.2.3+build.9')   === 0
+function compareVersions(a, b) {
+    const [releaseA, prereleaseA] = splitVersion(a);
+    const [releaseB, prereleaseB] = splitVersion(b);
+
+    const result = compareVersionParts(releaseA.split('.'), releaseB.split('.'));
+    if (result !== 0) return result;
+
+    if (prereleaseA === null || prereleaseB === null) {
+        if (prereleaseA === prereleaseB) return 0;
+        return prereleaseA === null ? 1 : -1;
+    }
+    return compareVersionParts(prereleaseA.split('.'), prereleaseB.split('.'));
+}
+
+// [release, prerelease or null] without the build metadata
+function splitVersion(version) {
+    const text = String(version).split('+')[0];
+    const dash = text.indexOf('-');
+    return dash === -1 ? [text, null] : [text.slice(0, dash), text.slice(dash + 1)];
+}
+
+// Part by part; numbers compare numerically and rank below words, and the
+// shorter list ranks first when one is a prefix of the other
+function compareVersionParts(partsA, partsB) {
+    const length = Math.max(partsA.length, partsB.length);
+
+    for (let i = 0; i < length; i++) {
+        const partA = partsA[i];
+        const partB = partsB[i];
+        if (partA === undefined) return -1;
+        if (partB === undefined) return 1;
+
+        const numA = /^\d+$/.test(partA) ? parseInt(partA, 10) : NaN;
+        const numB = /^\d+$/.test(partB) ? parseInt(partB, 10) : NaN;
+        let result;
+        if (!isNaN(numA) && !isNaN(numB)) {
+            result = numA - numB;
+        } else if (!isNaN(numA) || !isNaN(numB)) {
+            result = isNaN(numA) ? 1 : -1;
+        } else {
+            result = partA.localeCompare(partB);
+        }
+        if (result !== 0) return result < 0 ? -1 : 1;
+    }
+    return 0;
+}
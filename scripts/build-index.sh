@@ -198,7 +198,37 @@ EOF
         [[ -f "$cyclonedx_file" ]] && formats+=("cyclonedx")
         formats_json=$(printf '%s\n' "${formats[@]}" | jq -R . | jq -sc .)
 
-        versions+=("$version_name|$generated_at|$formats_json")
+        # Hand-maintained CycloneDX VEX statements kept next to the SBOM
+        vex_json="null"
+        vex_file="$version_dir/vex.cyclonedx.json"
+        if [[ -f "$vex_file" ]]; then
+            if jq -e '.bomFormat == "CycloneDX" and (.vulnerabilities | type == "array")' "$vex_file" > /dev/null 2>&1; then
+                vex_json=$(jq -c '{statements: (.vulnerabilities | length)}' "$vex_file")
+            else
+                echo -e "    ${YELLOW}WARNING: $version_name/vex.cyclonedx.json is not a CycloneDX VEX document, not listed${NC}"
+            fi
+        fi
+
+        # Release date kept in metadata.json (YYYY-MM-DD), if known
+        release_date=$(jq -r --arg v "$version_name" '.releaseDates[$v] // ""' "$metadata_file")
+        if [[ -n "$release_date" && ! "$release_date" =~ ^[0-9]{4}-[0-9]{2}-[0-9]{2}$ ]]; then
+            echo -e "    ${YELLOW}WARNING: $version_name has an invalid release date \"$release_date\", ignored${NC}"
+            release_date=""
+        fi
+
+        # Provenance written by fetch-and-generate.sh (version.json); the index
+        # only carries a summary, the site loads the file for the full record
+        provenance_json="null"
+        provenance_file="$version_dir/version.json"
+        if [[ -f "$provenance_file" ]]; then
+            if jq -e '(.scan | type == "object") and (.syft | type == "object")' "$provenance_file" > /dev/null 2>&1; then
+                provenance_json=$(jq -c '{targetType: .scan.targetType, syftVersion: .syft.version}' "$provenance_file")
+            else
+                echo -e "    ${YELLOW}WARNING: $version_name/version.json is not a provenance record, not listed${NC}"
+            fi
+        fi
+
+        versions+=("$version_name|$generated_at|$formats_json|$vex_json|$release_date|$provenance_json")
     done
 
     # Sort versions (reverse semver-like sort, newest first)
@@ -210,7 +240,7 @@ EOF
 
     # Output each version
     for version_data in "${sorted_versions[@]+"${sorted_versions[@]}"}"; do
-        IFS='|' read -r version_name generated_at formats_json <<< "$version_data"
+        IFS='|' read -r version_name generated_at formats_json vex_json release_date provenance_json <<< "$version_data"
 
         version_count=$((version_count + 1))
 
@@ -220,12 +250,30 @@ EOF
         fi
         FIRST_VERSION=false
 
+        # Only versions with a known release date get a "releaseDate" field
+        release_field=""
+        if [[ -n "$release_date" ]]; then
+            release_field=$'\n          "releaseDate": "'"$release_date"'",'
+        fi
+
+        # Only versions with VEX statements get a "vex" field
+        vex_field=""
+        if [[ "$vex_json" != "null" ]]; then
+            vex_field=$',\n          "vex": '"$vex_json"
+        fi
+
+        # Only versions with a version.json get a "provenance" field
+        provenance_field=""
+        if [[ "$provenance_json" != "null" ]]; then
+            provenance_field=$',\n          "provenance": '"$provenance_json"
+        fi
+
         # Output version object
         cat >> "$TEMP_INDEX" <<EOF
         {
           "version": "$version_name",
-          "generatedAt": "$generated_at",
-          "formats": $formats_json
+          "generatedAt": "$generated_at",$release_field
+          "formats": $formats_json$vex_field$provenance_field
         }
 EOF
     done
@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+
+// Build THIRD_PARTY_NOTICES.md and THIRD_PARTY_NOTICES.html for every product
+// version listed in docs/sboms/index.json, from its CycloneDX SBOM. Components
+// are grouped by license, with components lacking license data in a separate
+// group at the end. Run by build-site.js; can also be run on its own:
+//
+//   node scripts/build-notices.js
+
+const fs = require('fs');
+const path = require('path');
+const { isFormatAvailable } = require('./validate-sboms');
+const { setLicensePolicy, normalizeLicense } = require('../site/license-policy');
+
+const SBOM_DIR = path.join(__dirname, '..', 'docs', 'sboms');
+const POLICY_PATH = path.join(__dirname, '..', 'config', 'license-policy.json');
+const NOTICES_NAME = 'THIRD_PARTY_NOTICES';
+
+// Load the license policy so its aliases apply: "Apache License, Version 2.0"
+// and "Apache-2.0" land in one group
+function loadLicensePolicyFile() {
+    try {
+        setLicensePolicy(JSON.parse(fs.readFileSync(POLICY_PATH, 'utf8')));
+    } catch (error) {
+        setLicensePolicy(null);
+    }
+}
+
+// Write the notices for every CycloneDX version; returns the number written
+function buildNotices(sbomDir = SBOM_DIR) {
+    const indexPath = path.join(sbomDir, 'index.json');
+    if (!fs.existsSync(indexPath)) {
+        console.warn('  ⚠ Warning: sboms/index.json not found, skipping third-party notices');
+        return 0;
+    }
+
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    loadLicensePolicyFile();
+    let count = 0;
+
+    for (const product of index.products || []) {
+        for (const version of product.versions || []) {
+            const versionDir = path.join(sbomDir, product.slug, version.version);
+            if (!isFormatAvailable(version, 'cyclonedx')) {
+                // Don't leave notices from an earlier build next to a failed SBOM
+                for (const ext of ['md', 'html']) {
+                    fs.rmSync(path.join(versionDir, `${NOTICES_NAME}.${ext}`), { force: true });
+                }
+                continue;
+            }
+            let sbom;
+            try {
+                sbom = JSON.parse(fs.readFileSync(path.join(versionDir, 'sbom.cyclonedx.json'), 'utf8'));
+            } catch (error) {
+                console.warn(`  ⚠ Warning: could not read ${product.slug}/${version.version}: ${error.message}`);
+                continue;
+            }
+            if (!Array.isArray(sbom.components)) {
+                console.warn(`  ⚠ Warning: ${product.slug}/${version.version} has no components, skipping notices`);
+                continue;
+            }
+
+            const notices = collectNotices(sbom, product, version);
+            fs.writeFileSync(path.join(versionDir, `${NOTICES_NAME}.md`), renderMarkdown(notices));
+            fs.writeFileSync(path.join(versionDir, `${NOTICES_NAME}.html`), renderHtml(notices));
+            count++;
+        }
+    }
+
+    console.log(`  ✓ Wrote third-party notices for ${count} versions`);
+    return count;
+}
+
+// Components (deduplicated by name@version) grouped by license
+function collectNotices(sbom, product, version) {
+    const seen = new Set();
+    const groups = new Map();
+    const unlicensed = [];
+
+    for (const comp of sbom.components) {
+        // syft lists scanned manifest files as type "file"; they are not packages
+        if (!comp.name || comp.type === 'file') continue;
+
+        const key = `${comp.name}@${comp.version || ''}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const entry = {
+            name: comp.name,
+            version: comp.version || '',
+            purl: comp.purl || '',
+            authors: getAuthors(comp),
+            references: getReferences(comp)
+        };
+
+        const licenses = getLicenses(comp);
+        if (licenses.length === 0) {
+            unlicensed.push(entry);
+            continue;
+        }
+
+        const label = licenses.map(l => l.name).join(' AND ');
+        if (!groups.has(label)) {
+            groups.set(label, { license: label, urls: [], components: [] });
+        }
+        const group = groups.get(label);
+        licenses.forEach(l => {
+            if (l.url && !group.urls.includes(l.url)) group.urls.push(l.url);
+        });
+        group.components.push(entry);
+    }
+
+    const byName = (a, b) => a.name.localeCompare(b.name) || a.version.localeCompare(b.version);
+    const sortedGroups = Array.from(groups.values())
+        .sort((a, b) => a.license.localeCompare(b.license));
+    sortedGroups.forEach(group => group.components.sort(byName));
+    unlicensed.sort(byName);
+
+    return {
+        product: product.name,
+        version: version.version,
+        generatedAt: version.generatedAt || sbom.metadata?.timestamp || '',
+        groups: sortedGroups,
+        unlicensed: unlicensed,
+        componentCount: seen.size
+    };
+}
+
+// License names, normalized as on the site, and URLs. The URL of Maven's
+// `"Name";link="..."` form is kept; license text hashes name nothing and are dropped.
+function getLicenses(comp) {
+    const licenses = [];
+    for (const l of comp.licenses || []) {
+        const raw = (l.expression || l.license?.id || l.license?.name || '').trim();
+        const name = normalizeLicense(raw);
+        if (!name) continue;
+
+        const link = /^"[^"]*"\s*;\s*link="?([^"]*)"?/.exec(raw);
+        const url = l.license?.url || (link ? link[1] : '');
+        if (!licenses.some(existing => existing.name === name)) {
+            licenses.push({ name: name, url: /^https?:\/\//i.test(url) ? url : '' });
+        }
+    }
+    return licenses;
+}
+
+function getAuthors(comp) {
+    const authors = [];
+    if (comp.author) authors.push(comp.author);
+    (comp.authors || []).forEach(a => a.name && authors.push(a.name));
+    if (comp.supplier?.name) authors.push(comp.supplier.name);
+    if (comp.publisher) authors.push(comp.publisher);
+    return Array.from(new Set(authors));
+}
+
+// Web links only; syft's build-meta references hold hashes, not URLs
+function getReferences(comp) {
+    return (comp.externalReferences || [])
+        .filter(r => /^https?:\/\//i.test(r.url || ''))
+        .map(r => ({ type: r.type, url: r.url }))
+        .filter((r, i, all) => all.findIndex(other => other.url === r.url) === i);
+}
+
+function getNoticesIntro(notices) {
+    const licenseCount = notices.groups.length;
+    return {
+        title: `Third-Party Notices: ${notices.product} ${notices.version}`,
+        summary: `${notices.componentCount} components under ${licenseCount} license${licenseCount !== 1 ? 's' : ''}` +
+            `${notices.unlicensed.length > 0 ? `, ${notices.unlicensed.length} without license information` : ''}.`,
+        source: `Generated from the CycloneDX SBOM${notices.generatedAt ? ` of ${notices.generatedAt.slice(0, 10)}` : ''}. ` +
+            'License data is as declared by each component; verify it before relying on it.'
+    };
+}
+
+function renderMarkdown(notices) {
+    const intro = getNoticesIntro(notices);
+    const escape = (text) => String(text).replace(/([\\`*_[\]<>|#])/g, '\\$1');
+    const lines = [`# ${escape(intro.title)}`, '', intro.summary, '', escape(intro.source), ''];
+
+    const addComponents = (components) => {
+        components.forEach(c => {
+            lines.push(`- **${escape(c.name)}**${c.version ? ` ${escape(c.version)}` : ''}`);
+            if (c.purl) lines.push(`  - Package URL: \`${c.purl.replace(/`/g, '')}\``);
+            if (c.authors.length > 0) lines.push(`  - Authors: ${escape(c.authors.join(', '))}`);
+            c.references.forEach(r => lines.push(`  - ${escape(r.type)}: <${r.url}>`));
+        });
+        lines.push('');
+    };
+
+    notices.groups.forEach(group => {
+        lines.push(`## ${escape(group.license)} (${group.components.length})`, '');
+        if (group.urls.length > 0) {
+            lines.push(`License text: ${group.urls.map(url => `<${url}>`).join(', ')}`, '');
+        }
+        addComponents(group.components);
+    });
+
+    if (notices.unlicensed.length > 0) {
+        lines.push(`## Components without license information (${notices.unlicensed.length})`, '');
+        addComponents(notices.unlicensed);
+    }
+
+    return lines.join('\n');
+}
+
+function renderHtml(notices) {
+    const intro = getNoticesIntro(notices);
+    const escape = (text) => String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+    const link = (url) => `<a href="${escape(url)}" rel="noopener">${escape(url)}</a>`;
+
+    const sections = notices.groups.map((group, i) => ({
+        id: `license-${i}`,
+        title: group.license,
+        urls: group.urls,
+        components: group.components
+    }));
+    if (notices.unlicensed.length > 0) {
+        sections.push({
+            id: 'no-license',
+            title: 'Components without license information',
+            urls: [],
+            components: notices.unlicensed
+        });
+    }
+
+    const renderComponent = (c) => `
+        <li>
+            <strong>${escape(c.name)}</strong>${c.version ? ` ${escape(c.version)}` : ''}
+            <ul>
+                ${c.purl ? `<li>Package URL: <code>${escape(c.purl)}</code></li>` : ''}
+                ${c.authors.length > 0 ? `<li>Authors: ${escape(c.authors.join(', '))}</li>` : ''}
+                ${c.references.map(r => `<li>${escape(r.type)}: ${link(r.url)}</li>`).join('')}
+            </ul>
+        </li>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escape(intro.title)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; color: #1a1f3a; }
+        h1 { font-size: 1.6rem; }
+        h2 { font-size: 1.2rem; margin-top: 2rem; border-bottom: 1px solid #ddd; padding-bottom: 0.25rem; }
+        code { font-size: 0.85em; word-break: break-all; }
+        ul ul { color: #555; font-size: 0.9em; }
+        .toc li { margin: 0.1rem 0; }
+        .meta { color: #555; }
+    </style>
+</head>
+<body>
+    <h1>${escape(intro.title)}</h1>
+    <p>${escape(intro.summary)}</p>
+    <p class="meta">${escape(intro.source)} Also available as <a href="${NOTICES_NAME}.md">Markdown</a>.</p>
+
+    <ul class="toc">
+        ${sections.map(s => `<li><a href="#${s.id}">${escape(s.title)}</a> (${s.components.length})</li>`).join('\n        ')}
+    </ul>
+${sections.map(s => `
+    <h2 id="${s.id}">${escape(s.title)} (${s.components.length})</h2>
+    ${s.urls.length > 0 ? `<p>License text: ${s.urls.map(link).join(', ')}</p>` : ''}
+    <ul>${s.components.map(renderComponent).join('')}
+    </ul>`).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = { buildNotices };
+
+if (require.main === module) {
+    buildNotices();
+}
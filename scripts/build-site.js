@@ -2,11 +2,18 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { buildNotices } = require('./build-notices');
+const { buildVulnerabilities } = require('./build-vulnerabilities');
+const { validateSboms, isFormatAvailable } = require('./validate-sboms');
+const { setLicensePolicy, getComponentLicenseNames, classifyLicense, LICENSE_STATUS_ORDER } = require('../site/license-policy');
 
 // Directories
 const REPO_ROOT = path.join(__dirname, '..');
 const SITE_DIR = path.join(REPO_ROOT, 'site');
+const CONFIG_DIR = path.join(REPO_ROOT, 'config');
 const DOCS_DIR = path.join(REPO_ROOT, 'docs');
+const SBOM_DIR = path.join(DOCS_DIR, 'sboms');
 
 console.log('Building static site...');
 
@@ -29,7 +36,15 @@ const filesToCopy = [
     'logo.svg',
     'contrast-icon.svg',
     'dependency-tree.html',
-    'dependency-tree.js'
+    'dependency-tree.js',
+    'sbom-parser.js',
+    'tree-export.js',
+    'tree-graph.js',
+    'versions.js',
+    'catalog-query.js',
+    'license-policy.js',
+    'sbom-worker.js',
+    'vulnerabilities.js'
 ];
 
 console.log('Copying site files to docs/...');
@@ -46,6 +61,189 @@ for (const file of filesToCopy) {
     }
 }
 
+// The license policy lives with the other repo config; the site reads a copy.
+// It is also loaded here to classify components for the license summary.
+const policyPath = path.join(CONFIG_DIR, 'license-policy.json');
+let hasLicensePolicy = false;
+if (fs.existsSync(policyPath)) {
+    fs.copyFileSync(policyPath, path.join(DOCS_DIR, 'license-policy.json'));
+    hasLicensePolicy = Boolean(setLicensePolicy(JSON.parse(fs.readFileSync(policyPath, 'utf8'))));
+    console.log('  ✓ Copied config/license-policy.json');
+} else {
+    console.warn('  ⚠ Warning: config/license-policy.json not found, licenses will not be classified');
+}
+
+// Build the inverted package index used by the site search.
+// Maps each package name to its versionless purls and, per product slug,
+// package version -> product versions that ship it, plus the licenses declared
+// for each package version:
+//   { "jackson-core": { "purls": { "java-agent": { "2.17.0": ["pkg:maven/..."] } },
+//                       "licenses": { "2.17.0": ["Apache-2.0"] },
+//                       "products": { "java-agent": { "2.17.0": ["6.25.1"] } } } }
+// The same pass writes sboms/license-summary.json, the license breakdown of
+// each version: components per normalized license name, components without
+// any license, and components per policy status. A component's status is the
+// worst of its licenses, so the statuses add up to the component count; they
+// are left out when there is no policy.
+//   { "java-agent": { "6.25.1": { "components": 90, "unknown": 3,
+//                                 "licenses": { "Apache-2.0": 70, ... },
+//                                 "statuses": { "allowed": 85, "review": 5, "denied": 0 } } } }
+function buildPackageIndex() {
+    const indexPath = path.join(SBOM_DIR, 'index.json');
+    if (!fs.existsSync(indexPath)) {
+        console.warn('  ⚠ Warning: sboms/index.json not found, skipping package index');
+        return;
+    }
+
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    const packages = {};
+    const licenseSummary = {};
+    let sbomCount = 0;
+
+    for (const product of index.products || []) {
+        for (const version of product.versions || []) {
+            if (!isFormatAvailable(version, 'cyclonedx')) continue;
+
+            const sbomPath = path.join(SBOM_DIR, product.slug, version.version, 'sbom.cyclonedx.json');
+            let sbom;
+            try {
+                sbom = JSON.parse(fs.readFileSync(sbomPath, 'utf8'));
+            } catch (error) {
+                console.warn(`  ⚠ Warning: could not read ${product.slug}/${version.version}: ${error.message}`);
+                continue;
+            }
+            sbomCount++;
+
+            const summary = { components: 0, unknown: 0, licenses: {} };
+            if (hasLicensePolicy) {
+                summary.statuses = { allowed: 0, review: 0, denied: 0 };
+            }
+            (licenseSummary[product.slug] || (licenseSummary[product.slug] = {}))[version.version] = summary;
+
+            for (const comp of sbom.components || []) {
+                // syft lists scanned manifest files as type "file"; they are not packages
+                if (!comp.name || comp.type === 'file') continue;
+
+                const key = comp.name.toLowerCase();
+                if (!packages[key]) {
+                    packages[key] = { purls: {}, licenses: {}, products: {} };
+                }
+                const entry = packages[key];
+                const packageVersion = comp.version || 'unknown';
+
+                // Kept per product and package version: same-named packages of
+                // different ecosystems (npm and PyPI "requests") share the entry
+                if (comp.purl) {
+                    const purl = comp.purl.split('?')[0].split('#')[0].replace(/@[^/@]*$/, '');
+                    const byVersion = entry.purls[product.slug] || (entry.purls[product.slug] = {});
+                    const purls = byVersion[packageVersion] || (byVersion[packageVersion] = []);
+                    if (!purls.includes(purl)) {
+                        purls.push(purl);
+                    }
+                }
+
+                const licenses = entry.licenses[packageVersion] || (entry.licenses[packageVersion] = []);
+                for (const l of comp.licenses || []) {
+                    const license = l.expression || l.license?.id || l.license?.name;
+                    if (license && !licenses.includes(license)) {
+                        licenses.push(license);
+                    }
+                }
+
+                // Each component counts once per license and once in the statuses
+                const componentLicenses = getComponentLicenseNames(comp.licenses);
+                summary.components++;
+                if (componentLicenses.length === 0) {
+                    summary.unknown++;
+                }
+                for (const license of componentLicenses) {
+                    summary.licenses[license] = (summary.licenses[license] || 0) + 1;
+                }
+                if (summary.statuses) {
+                    const statuses = componentLicenses.length > 0 ? componentLicenses.map(classifyLicense) : [classifyLicense(null)];
+                    const worst = statuses.reduce((a, b) => LICENSE_STATUS_ORDER[a] >= LICENSE_STATUS_ORDER[b] ? a : b);
+                    summary.statuses[worst]++;
+                }
+
+                const byPackageVersion = entry.products[product.slug] || (entry.products[product.slug] = {});
+                const productVersions = byPackageVersion[packageVersion] || (byPackageVersion[packageVersion] = []);
+                if (!productVersions.includes(version.version)) {
+                    productVersions.push(version.version);
+                }
+            }
+        }
+    }
+
+    // Stamp with the SBOM index time so rebuilding unchanged SBOMs is a no-op
+    const packageIndex = {
+        generated: index.generated || new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+        packages: packages
+    };
+    fs.writeFileSync(path.join(SBOM_DIR, 'package-index.json'), JSON.stringify(packageIndex));
+    console.log(`  ✓ Indexed ${Object.keys(packages).length} packages from ${sbomCount} CycloneDX SBOMs`);
+
+    fs.writeFileSync(path.join(SBOM_DIR, 'license-summary.json'), JSON.stringify({
+        generated: packageIndex.generated,
+        products: licenseSummary
+    }));
+    console.log(`  ✓ Wrote license summary for ${sbomCount} versions`);
+}
+
+// Record a per-format status in sboms/index.json before anything reads the SBOMs
+console.log('Validating SBOMs...');
+try {
+    validateSboms(SBOM_DIR);
+} catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+}
+
+console.log('Building package index...');
+buildPackageIndex();
+
+console.log('Building third-party notices...');
+buildNotices(SBOM_DIR);
+
+// Offline OSV matching; skipped (with a warning) when no snapshot was downloaded
+console.log('Building vulnerability overlay...');
+buildVulnerabilities(SBOM_DIR);
+
+// Write docs/service-worker.js from site/service-worker.js with the precache
+// manifest filled in: the copied site files, the license policy, the SBOM and
+// package indexes and the license and vulnerability summaries, each with a
+// content hash. Any changed file changes the worker, so browsers pick up the
+// new build; the manifest is also written to precache-manifest.json.
+function buildServiceWorker() {
+    const templatePath = path.join(SITE_DIR, 'service-worker.js');
+    if (!fs.existsSync(templatePath)) {
+        console.warn('  ⚠ Warning: service-worker.js not found in site/, skipping offline support');
+        return;
+    }
+
+    const hash = (content) => crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+    const files = [...filesToCopy, 'license-policy.json', 'sboms/index.json', 'sboms/package-index.json', 'sboms/license-summary.json',
+        'sboms/vulnerability-summary.json']
+        .filter(file => fs.existsSync(path.join(DOCS_DIR, file)))
+        .map(file => ({
+            url: file,
+            revision: hash(fs.readFileSync(path.join(DOCS_DIR, file)))
+        }));
+    const manifest = {
+        version: hash(JSON.stringify(files)),
+        files: files
+    };
+
+    fs.writeFileSync(path.join(DOCS_DIR, 'precache-manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+    const worker = fs.readFileSync(templatePath, 'utf8')
+        .replace('const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST;',
+            `const PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 4)};`);
+    fs.writeFileSync(path.join(DOCS_DIR, 'service-worker.js'), worker);
+    console.log(`  ✓ Precaching ${files.length} files (build ${manifest.version})`);
+}
+
+console.log('Building service worker...');
+buildServiceWorker();
+
 // Create .nojekyll file (disable Jekyll processing)
 const nojekyllPath = path.join(DOCS_DIR, '.nojekyll');
 fs.writeFileSync(nojekyllPath, '');
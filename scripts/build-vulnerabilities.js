@@ -0,0 +1,534 @@
+#!/usr/bin/env node
+
+// Match the component purls of every CycloneDX SBOM in docs/sboms/index.json
+// against a local OSV database snapshot and write the findings. Runs without
+// network access; the snapshot is downloaded beforehand (see the workflow) as
+// OSV JSON files, one advisory per file, in any directory layout:
+//
+//   node scripts/build-vulnerabilities.js [--osv <dir>]
+//
+// The directory defaults to $OSV_DIR, then temp/osv. Without it no matching
+// is done and the build log says which earlier findings were kept. Writes
+// docs/sboms/{slug}/{version}/vulnerabilities.json and
+// docs/sboms/vulnerability-summary.json, and removes both for versions whose
+// CycloneDX SBOM failed validation or is gone. Run by build-site.js.
+//
+// Version ranges are evaluated for npm, PyPI, Maven, NuGet and Go packages.
+
+const fs = require('fs');
+const path = require('path');
+const { isFormatAvailable } = require('./validate-sboms');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const SBOM_DIR = path.join(REPO_ROOT, 'docs', 'sboms');
+const DEFAULT_OSV_DIR = path.join(REPO_ROOT, 'temp', 'osv');
+const FINDINGS_NAME = 'vulnerabilities.json';
+const SUMMARY_NAME = 'vulnerability-summary.json';
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'unknown'];
+
+// purl type -> OSV ecosystem
+const ECOSYSTEMS = {
+    npm: 'npm',
+    pypi: 'PyPI',
+    maven: 'Maven',
+    nuget: 'NuGet',
+    golang: 'Go'
+};
+
+// Write the findings for every CycloneDX version; returns the number written,
+// or null when there is no OSV database to match against
+function buildVulnerabilities(sbomDir = SBOM_DIR, osvDir = process.env.OSV_DIR || DEFAULT_OSV_DIR) {
+    const indexPath = path.join(sbomDir, 'index.json');
+    if (!fs.existsSync(indexPath)) {
+        console.warn('  ⚠ Warning: sboms/index.json not found, skipping vulnerability overlay');
+        return null;
+    }
+
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    if (!fs.existsSync(osvDir)) {
+        const kept = removeFindings(index, sbomDir, version => isFormatAvailable(version, 'cyclonedx'));
+        console.warn(`  ⚠ Warning: no OSV database at ${path.relative(REPO_ROOT, osvDir) || osvDir}, skipping vulnerability overlay` +
+            (kept.count > 0 ? `; kept the findings of ${kept.count} version${kept.count !== 1 ? 's' : ''} matched against the OSV snapshot of ${kept.modified || 'an earlier run'}, they may be out of date` : ''));
+        return null;
+    }
+
+    const targets = readTargets(index, sbomDir);
+    const targetDirs = new Set(targets.map(target => target.dir));
+    removeFindings(index, sbomDir, (version, dir) => targetDirs.has(dir));
+
+    const wanted = new Set();
+    targets.forEach(target => target.packages.forEach(pkg => wanted.add(pkg.key)));
+
+    const database = loadOsvDatabase(osvDir, wanted);
+    console.log(`  ✓ Read ${database.records} OSV records (${database.advisories.size} affected packages in use)`);
+
+    const summary = {
+        generated: database.modified,
+        database: { modified: database.modified, records: database.records },
+        products: {}
+    };
+
+    targets.forEach(target => {
+        const findings = matchPackages(target.packages, database.advisories);
+        const versionSummary = summarizeFindings(findings);
+
+        fs.writeFileSync(path.join(target.dir, FINDINGS_NAME), JSON.stringify({
+            product: target.product.name,
+            version: target.version.version,
+            database: summary.database,
+            summary: versionSummary,
+            components: findings
+        }, null, 2) + '\n');
+
+        if (!summary.products[target.product.slug]) summary.products[target.product.slug] = {};
+        summary.products[target.product.slug][target.version.version] = versionSummary;
+    });
+
+    fs.writeFileSync(path.join(sbomDir, SUMMARY_NAME), JSON.stringify(summary, null, 2) + '\n');
+
+    const affected = targets.filter(target =>
+        summary.products[target.product.slug][target.version.version].total > 0).length;
+    console.log(`  ✓ Wrote vulnerability findings for ${targets.length} versions (${affected} with known vulnerabilities)`);
+    return targets.length;
+}
+
+// Delete vulnerabilities.json and the summary entry of every index.json version
+// keep() rejects, so the site shows no badges for SBOMs that failed validation
+// or are gone. Returns the versions that still have findings and the database
+// date of the summary.
+function removeFindings(index, sbomDir, keep) {
+    const summaryPath = path.join(sbomDir, SUMMARY_NAME);
+    let summary = null;
+    try {
+        summary = JSON.parse(fs.readFileSync(summaryPath, 'utf8'));
+    } catch (error) {
+        // No summary from an earlier run
+    }
+
+    let count = 0;
+    for (const product of index.products || []) {
+        for (const version of product.versions || []) {
+            const dir = path.join(sbomDir, product.slug, version.version);
+            const findingsPath = path.join(dir, FINDINGS_NAME);
+            if (keep(version, dir)) {
+                if (fs.existsSync(findingsPath)) count++;
+                continue;
+            }
+            fs.rmSync(findingsPath, { force: true });
+            if (summary && summary.products && summary.products[product.slug]) {
+                delete summary.products[product.slug][version.version];
+            }
+        }
+    }
+
+    if (summary) {
+        fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2) + '\n');
+    }
+    return { count: count, modified: summary && summary.database ? summary.database.modified : null };
+}
+
+// Packages with a supported purl, per CycloneDX version
+function readTargets(index, sbomDir) {
+    const targets = [];
+
+    for (const product of index.products || []) {
+        for (const version of product.versions || []) {
+            if (!isFormatAvailable(version, 'cyclonedx')) continue;
+
+            const dir = path.join(sbomDir, product.slug, version.version);
+            let sbom;
+            try {
+                sbom = JSON.parse(fs.readFileSync(path.join(dir, 'sbom.cyclonedx.json'), 'utf8'));
+            } catch (error) {
+                console.warn(`  ⚠ Warning: could not read ${product.slug}/${version.version}: ${error.message}`);
+                continue;
+            }
+
+            const seen = new Set();
+            const packages = [];
+            (sbom.components || []).forEach(comp => {
+                const pkg = parsePackagePurl(comp.purl, comp.version);
+                if (!pkg || seen.has(comp.purl)) return;
+                seen.add(comp.purl);
+                packages.push({ ...pkg, name: comp.name, purl: comp.purl });
+            });
+
+            targets.push({ product, version, dir, packages });
+        }
+    }
+    return targets;
+}
+
+// { ecosystem, package, version, key } for a purl of a supported type, else null
+function parsePackagePurl(purl, fallbackVersion) {
+    const match = /^pkg:([^/]+)\/([^@?#]+)(?:@([^?#]+))?/.exec(purl || '');
+    if (!match) return null;
+
+    const ecosystem = ECOSYSTEMS[match[1].toLowerCase()];
+    if (!ecosystem) return null;
+
+    const segments = match[2].split('/').map(segment => decodeURIComponent(segment));
+    const name = segments.pop();
+    const namespace = segments.join('/');
+    let version = decodeURIComponent(match[3] || fallbackVersion || '');
+
+    let packageName;
+    if (ecosystem === 'Maven') {
+        if (!namespace) return null;
+        packageName = `${namespace}:${name}`;
+    } else if (ecosystem === 'Go') {
+        packageName = namespace ? `${namespace}/${name}` : name;
+        // OSV lists Go versions without the v prefix, and the toolchain as "stdlib"
+        version = version.replace(packageName === 'stdlib' ? /^go/ : /^v/, '');
+    } else {
+        packageName = namespace ? `${namespace}/${name}` : name;
+    }
+
+    if (!version) return null;
+    return {
+        ecosystem: ecosystem,
+        package: packageName,
+        version: version,
+        key: getPackageKey(ecosystem, packageName)
+    };
+}
+
+function getPackageKey(ecosystem, name) {
+    // PyPI names compare after PEP 503 normalization; the others case-insensitively
+    const normalized = ecosystem === 'PyPI'
+        ? name.toLowerCase().replace(/[-_.]+/g, '-')
+        : name.toLowerCase();
+    return `${ecosystem}:${normalized}`;
+}
+
+// Advisories per package key, keeping only the packages some SBOM contains
+function loadOsvDatabase(osvDir, wanted) {
+    const advisories = new Map();
+    let records = 0;
+    let modified = '';
+
+    walkJsonFiles(osvDir, file => {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.warn(`  ⚠ Warning: skipping unreadable OSV file ${path.relative(osvDir, file)}: ${error.message}`);
+            return;
+        }
+
+        (Array.isArray(data) ? data : [data]).forEach(record => {
+            if (!record || !record.id || !Array.isArray(record.affected)) return;
+            records++;
+            if (record.modified && record.modified > modified) modified = record.modified;
+            if (record.withdrawn) return;
+
+            record.affected.forEach(affected => {
+                const pkg = affected.package || {};
+                // Ecosystems may carry a suffix, e.g. "Maven:https://..."; only the base is matched
+                const ecosystem = String(pkg.ecosystem || '').split(':')[0];
+                if (!Object.values(ECOSYSTEMS).includes(ecosystem) || !pkg.name) return;
+
+                const key = getPackageKey(ecosystem, pkg.name);
+                if (!wanted.has(key)) return;
+
+                if (!advisories.has(key)) advisories.set(key, []);
+                advisories.get(key).push({ record, affected });
+            });
+        });
+    });
+
+    return { advisories, records, modified };
+}
+
+function walkJsonFiles(dir, callback) {
+    fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walkJsonFiles(fullPath, callback);
+            } else if (entry.name.endsWith('.json')) {
+                callback(fullPath);
+            }
+        });
+}
+
+// Affected components with their advisories, worst first
+function matchPackages(packages, advisories) {
+    const findings = [];
+
+    packages.forEach(pkg => {
+        const vulnerabilities = [];
+        (advisories.get(pkg.key) || []).forEach(({ record, affected }) => {
+            const match = matchAffected(affected, pkg.ecosystem, pkg.version);
+            if (!match || vulnerabilities.some(v => v.id === record.id)) return;
+
+            const severity = getSeverity(record, affected);
+            vulnerabilities.push({
+                id: record.id,
+                aliases: record.aliases || [],
+                summary: record.summary || (record.details || '').split('\n')[0].slice(0, 200),
+                severity: severity.rating,
+                score: severity.score,
+                fixed: match.fixed,
+                url: `https://osv.dev/vulnerability/${encodeURIComponent(record.id)}`
+            });
+        });
+
+        if (vulnerabilities.length === 0) return;
+        vulnerabilities.sort((a, b) => compareSeverity(a, b) || a.id.localeCompare(b.id));
+        findings.push({
+            name: pkg.name,
+            version: pkg.version,
+            purl: pkg.purl,
+            severity: vulnerabilities[0].severity,
+            vulnerabilities: vulnerabilities
+        });
+    });
+
+    return findings.sort((a, b) => compareSeverity(a.vulnerabilities[0], b.vulnerabilities[0]) ||
+        a.name.localeCompare(b.name) || a.version.localeCompare(b.version));
+}
+
+function compareSeverity(a, b) {
+    return SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || (b.score || 0) - (a.score || 0);
+}
+
+// Findings per severity; each component/advisory pair counts once
+function summarizeFindings(findings) {
+    const summary = { critical: 0, high: 0, medium: 0, low: 0, unknown: 0, total: 0, components: findings.length };
+    findings.forEach(finding => finding.vulnerabilities.forEach(v => {
+        summary[v.severity]++;
+        summary.total++;
+    }));
+    return summary;
+}
+
+// { fixed: [...] } when the version is in an affected entry's versions or
+// ranges, else null. GIT ranges are commit based and don't apply to packages.
+function matchAffected(affected, ecosystem, version) {
+    const compare = (a, b) => compareEcosystemVersions(ecosystem, a, b);
+    const fixed = [];
+    let isAffected = (affected.versions || []).some(v => compare(v, version) === 0);
+
+    (affected.ranges || []).forEach(range => {
+        if (range.type !== 'SEMVER' && range.type !== 'ECOSYSTEM') return;
+        if (isVersionInRange(range.events || [], version, compare)) {
+            isAffected = true;
+            (range.events || []).forEach(event => {
+                if (event.fixed && !fixed.includes(event.fixed)) fixed.push(event.fixed);
+            });
+        }
+    });
+
+    return isAffected ? { fixed: fixed } : null;
+}
+
+// OSV range evaluation: walk the events in version order, switching on at
+// "introduced" and off at "fixed" (or past "last_affected")
+function isVersionInRange(events, version, compare) {
+    const eventVersion = (event) => event.introduced || event.fixed || event.last_affected || event.limit;
+    const sorted = events
+        .filter(eventVersion)
+        .slice()
+        .sort((a, b) => {
+            if (a.introduced === '0') return -1;
+            if (b.introduced === '0') return 1;
+            return compare(eventVersion(a), eventVersion(b));
+        });
+
+    let affected = false;
+    for (const event of sorted) {
+        if (event.introduced) {
+            if (event.introduced === '0' || compare(version, event.introduced) >= 0) affected = true;
+        } else if (event.fixed) {
+            if (compare(version, event.fixed) >= 0) affected = false;
+        } else if (event.last_affected) {
+            if (compare(version, event.last_affected) > 0) affected = false;
+        } else if (event.limit) {
+            if (compare(version, event.limit) >= 0) return false;
+        }
+    }
+    return affected;
+}
+
+function compareEcosystemVersions(ecosystem, a, b) {
+    if (ecosystem === 'PyPI') return comparePythonVersions(a, b);
+    if (ecosystem === 'Maven') return compareMavenVersions(a, b);
+    // npm and Go are SemVer; NuGet is SemVer with an optional fourth number
+    return compareSemanticVersions(a, b);
+}
+
+// SemVer precedence, allowing any number of release numbers (NuGet's 1.2.3.4).
+// Prerelease identifiers compare numerically when both are numbers; build
+// metadata is ignored.
+function compareSemanticVersions(a, b) {
+    const parse = (version) => {
+        const [main, ...pre] = String(version).trim().replace(/^v/i, '').split('+')[0].split('-');
+        return {
+            release: main.split('.').map(part => parseInt(part, 10) || 0),
+            pre: pre.length > 0 ? pre.join('-').toLowerCase().split('.') : []
+        };
+    };
+    const left = parse(a);
+    const right = parse(b);
+
+    for (let i = 0; i < Math.max(left.release.length, right.release.length); i++) {
+        const diff = (left.release[i] || 0) - (right.release[i] || 0);
+        if (diff !== 0) return Math.sign(diff);
+    }
+
+    // A prerelease sorts before its release
+    if (left.pre.length === 0 || right.pre.length === 0) {
+        return Math.sign(right.pre.length - left.pre.length);
+    }
+    for (let i = 0; i < Math.max(left.pre.length, right.pre.length); i++) {
+        const partA = left.pre[i];
+        const partB = right.pre[i];
+        if (partA === undefined) return -1;
+        if (partB === undefined) return 1;
+        const numeric = /^\d+$/.test(partA) && /^\d+$/.test(partB);
+        const diff = numeric ? parseInt(partA, 10) - parseInt(partB, 10) : partA.localeCompare(partB);
+        if (diff !== 0) return Math.sign(diff);
+    }
+    return 0;
+}
+
+// PEP 440 ordering: epoch, release, then .devN < aN < bN < rcN < release < .postN
+const PEP440_PATTERN = /^v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|alpha|b|beta|c|rc|pre|preview)[-_.]?(\d*))?(?:-(\d+)|[-_.]?(?:post|rev|r)[-_.]?(\d*))?(?:[-_.]?dev[-_.]?(\d*))?(?:\+.*)?$/i;
+const PEP440_PRE_RANKS = { a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 };
+
+function comparePythonVersions(a, b) {
+    const parse = (version) => {
+        const match = PEP440_PATTERN.exec(String(version).trim());
+        if (!match) return null;
+        const [, epoch, release, preLabel, preNumber, postImplicit, postNumber, devNumber] = match;
+        const hasPost = postImplicit !== undefined || postNumber !== undefined;
+        const hasDev = devNumber !== undefined;
+        return [
+            [parseInt(epoch || '0', 10)],
+            release.split('.').map(Number),
+            // A dev release without pre/post sorts before the prereleases
+            preLabel ? [PEP440_PRE_RANKS[preLabel.toLowerCase()], parseInt(preNumber || '0', 10)]
+                : (hasDev && !hasPost ? [-Infinity] : [Infinity]),
+            hasPost ? [parseInt(postImplicit || postNumber || '0', 10)] : [-Infinity],
+            hasDev ? [parseInt(devNumber || '0', 10)] : [Infinity]
+        ];
+    };
+    const left = parse(a);
+    const right = parse(b);
+    if (!left || !right) return compareSemanticVersions(a, b);
+
+    for (let part = 0; part < left.length; part++) {
+        for (let i = 0; i < Math.max(left[part].length, right[part].length); i++) {
+            const x = left[part][i] ?? 0;
+            const y = right[part][i] ?? 0;
+            if (x !== y) return x < y ? -1 : 1;
+        }
+    }
+    return 0;
+}
+
+// Maven's ComparableVersion, flattened: items split at '.', '-' and
+// digit/letter changes; known qualifiers order alpha < beta < milestone <
+// rc < snapshot < release < sp, other qualifiers after those alphabetically
+const MAVEN_QUALIFIERS = {
+    alpha: 1, a: 1, beta: 2, b: 2, milestone: 3, m: 3, rc: 4, cr: 4,
+    snapshot: 5, '': 6, ga: 6, final: 6, release: 6, sp: 7
+};
+
+function compareMavenVersions(a, b) {
+    const parse = (version) => String(version).trim().toLowerCase()
+        .split(/[.-]|(?<=\d)(?=[a-z])|(?<=[a-z])(?=\d)/)
+        .filter(item => item !== '')
+        .map(item => /^\d+$/.test(item) ? parseInt(item, 10) : item);
+    const left = parse(a);
+    const right = parse(b);
+
+    const compareItems = (x, y) => {
+        const isNumberX = typeof x === 'number';
+        const isNumberY = typeof y === 'number';
+        // A missing item is 0 next to a number and a release next to a qualifier
+        if (x === undefined) return isNumberY ? Math.sign(-y) : -compareQualifiers(y, '');
+        if (y === undefined) return isNumberX ? Math.sign(x) : compareQualifiers(x, '');
+        if (isNumberX && isNumberY) return Math.sign(x - y);
+        if (isNumberX) return 1;
+        if (isNumberY) return -1;
+        return compareQualifiers(x, y);
+    };
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const result = compareItems(left[i], right[i]);
+        if (result !== 0) return result;
+    }
+    return 0;
+}
+
+function compareQualifiers(a, b) {
+    const rank = (qualifier) => MAVEN_QUALIFIERS[qualifier] !== undefined ? MAVEN_QUALIFIERS[qualifier] : 8;
+    return Math.sign(rank(a) - rank(b)) || (rank(a) === 8 ? Math.sign(a.localeCompare(b)) : 0);
+}
+
+// Severity from the advisory database's own rating (GitHub's CRITICAL/HIGH/
+// MODERATE/LOW), else from a CVSS v3 vector's base score
+function getSeverity(record, affected) {
+    const ratings = { critical: 'critical', high: 'high', moderate: 'medium', medium: 'medium', low: 'low' };
+    const vector = (record.severity || []).find(s => /^CVSS_V3/.test(s.type) && s.score);
+    const score = vector ? getCvss3BaseScore(vector.score) : null;
+
+    const declared = String(record.database_specific?.severity ||
+        affected.ecosystem_specific?.severity || '').toLowerCase();
+    if (ratings[declared]) {
+        return { rating: ratings[declared], score: score };
+    }
+    if (score === null) {
+        return { rating: 'unknown', score: null };
+    }
+    return {
+        rating: score >= 9 ? 'critical' : score >= 7 ? 'high' : score >= 4 ? 'medium' : score > 0 ? 'low' : 'unknown',
+        score: score
+    };
+}
+
+// CVSS v3.0/v3.1 base score from a vector string, or null if it is incomplete
+function getCvss3BaseScore(vector) {
+    const metrics = {};
+    String(vector).split('/').forEach(part => {
+        const [name, value] = part.split(':');
+        metrics[name] = value;
+    });
+
+    const weights = {
+        AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+        AC: { L: 0.77, H: 0.44 },
+        UI: { N: 0.85, R: 0.62 },
+        CIA: { H: 0.56, L: 0.22, N: 0 }
+    };
+    const changed = metrics.S === 'C';
+    const privileges = { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 }[metrics.PR];
+    const values = [weights.AV[metrics.AV], weights.AC[metrics.AC], privileges, weights.UI[metrics.UI],
+        weights.CIA[metrics.C], weights.CIA[metrics.I], weights.CIA[metrics.A]];
+    if (values.some(value => value === undefined) || (metrics.S !== 'U' && !changed)) return null;
+
+    const [av, ac, pr, ui, c, i, a] = values;
+    const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+    const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+    const exploitability = 8.22 * av * ac * pr * ui;
+    if (impact <= 0) return 0;
+
+    // Round up to one decimal, as the CVSS v3.1 specification defines it
+    const roundUp = (value) => {
+        const scaled = Math.round(value * 100000);
+        return scaled % 10000 === 0 ? scaled / 100000 : (Math.floor(scaled / 10000) + 1) / 10;
+    };
+    return roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+}
+
+module.exports = { buildVulnerabilities };
+
+if (require.main === module) {
+    const osvFlag = process.argv.indexOf('--osv');
+    const osvDir = osvFlag !== -1 ? path.resolve(process.argv[osvFlag + 1] || '') : undefined;
+    buildVulnerabilities(SBOM_DIR, osvDir);
+}
@@ -10,6 +10,8 @@ REPO_ROOT="$(cd "$SCRIPT_DIR/.." && pwd)"
 CONFIG_FILE="${CONFIG_FILE:-$REPO_ROOT/config/products.yml}"
 SBOM_DIR="$REPO_ROOT/docs/sboms"
 TEMP_DIR="$REPO_ROOT/temp"
+# Registry metadata per product, read by fill-release-dates.js after this script
+REGISTRY_DIR="$TEMP_DIR/registry"
 
 # Colors for output
 RED='\033[0;31m'
@@ -176,6 +178,37 @@ check_sbom_exists() {
 # FETCH FUNCTIONS
 # ============================================================================
 
+# SHA-256 of a file (sha256sum on Linux, shasum on macOS)
+sha256_file() {
+    if command -v sha256sum &> /dev/null; then
+        sha256sum "$1" | cut -d' ' -f1
+    else
+        shasum -a 256 "$1" | cut -d' ' -f1
+    fi
+}
+
+# Record where a version's artifact came from and what syft will scan, in
+# temp/{slug}-{version}.artifact.json; generate_sboms_for_artifact turns it into
+# version.json. S3 and Artifactory base URLs are secrets, so those artifacts
+# get no URL and are identified by their path instead.
+record_artifact() {
+    local slug="$1"
+    local version="$2"
+    local target_type="$3"   # jar | npm-install-tree | pip-target | nupkg-extract | file
+    local url="$4"
+    local coordinate="$5"
+    local sha256="$6"
+
+    jq -n \
+        --arg targetType "$target_type" \
+        --arg url "$url" \
+        --arg coordinate "$coordinate" \
+        --arg sha256 "$sha256" \
+        'def opt: if . == "" then null else . end;
+         {targetType: $targetType, url: ($url | opt), coordinate: ($coordinate | opt), sha256: ($sha256 | opt)}' \
+        > "$TEMP_DIR/$slug-$version.artifact.json"
+}
+
 fetch_s3() {
     local product_json="$1"
     local slug="$2"
@@ -286,6 +319,7 @@ fetch_s3() {
         # Download
         local download_path="$TEMP_DIR/$slug-$version-$(basename "$filename")"
         if curl -f -s "${S3_PUBLIC_URL}${filename}" -o "$download_path"; then
+            record_artifact "$slug" "$version" file "" "$filename" "$(sha256_file "$download_path")"
             echo "$download_path|$version"
         else
             echo -e "${YELLOW}      Failed to download $filename${NC}" >&2
@@ -293,6 +327,22 @@ fetch_s3() {
     done <<< "$files"
 }
 
+# Save the release timestamps of a product's registry metadata to
+# temp/registry/{slug}.json; fill-release-dates.js turns them into releaseDates
+save_registry_metadata() {
+    local slug="$1"
+    local registry_json="$2"
+    local registry_file="$REGISTRY_DIR/$slug.json"
+
+    mkdir -p "$REGISTRY_DIR"
+    if [[ -n "$registry_json" ]] && echo "$registry_json" | jq . > "$registry_file" 2>/dev/null; then
+        echo "  Saved registry metadata" >&2
+    else
+        rm -f "$registry_file"
+        echo -e "${YELLOW}  Could not save registry metadata, release dates not updated${NC}" >&2
+    fi
+}
+
 fetch_maven() {
     local product_json="$1"
     local slug="$2"
@@ -327,6 +377,19 @@ fetch_maven() {
     local count=$(echo "$versions" | wc -l | tr -d ' ')
     echo "  Found $count version(s)" >&2
 
+    # maven-metadata.xml only has one lastUpdated for the whole artifact; the
+    # per-version date is the Last-Modified header of each version's POM
+    local last_modified='{}'
+    while IFS= read -r version; do
+        [[ -z "$version" ]] && continue
+        local header=$(curl -sI -f "${maven_base}/${version}/${artifact_id}-${version}.pom" 2>/dev/null | tr -d '\r' | grep -i '^last-modified:' | cut -d' ' -f2-)
+        if [[ -n "$header" ]]; then
+            last_modified=$(echo "$last_modified" | jq -c --arg v "$version" --arg d "$header" '. + {($v): $d}')
+        fi
+    done <<< "$versions"
+    save_registry_metadata "$slug" "$(jq -n --arg package "$group_id:$artifact_id" --argjson lastModified "$last_modified" \
+        '{source: "maven", package: $package, lastModified: $lastModified}')"
+
     # Download each version
     while IFS= read -r version; do
         [[ -z "$version" ]] && continue
@@ -344,6 +407,7 @@ fetch_maven() {
         echo "    Version: $version - $filename" >&2
 
         if curl -f -s "$download_url" -o "$download_path"; then
+            record_artifact "$slug" "$version" jar "$download_url" "pkg:maven/${group_id}/${artifact_id}@${version}" "$(sha256_file "$download_path")"
             echo "$download_path|$version"
         else
             echo -e "${YELLOW}      Failed to download $filename${NC}" >&2
@@ -381,6 +445,10 @@ fetch_npm() {
     local count=$(echo "$versions" | wc -l | tr -d ' ')
     echo "  Found $count version(s)" >&2
 
+    # "time" maps every version to its publish timestamp
+    save_registry_metadata "$slug" "$(echo "$metadata" | jq --arg package "$package_name" \
+        '{source: "npm", package: $package, time: (.time // {})}')"
+
     # Install each version so syft can scan the full node_modules tree.
     # Strategy: extract the npm tarball (which contains the package's real
     # package.json with correct name/version), then run npm install inside it.
@@ -416,6 +484,8 @@ fetch_npm() {
             continue
         fi
 
+        local tarball_sha256=$(sha256_file "$tarball_path")
+
         # Extract — npm tarballs always unpack into a "package/" subdirectory
         tar xzf "$tarball_path" -C "$extract_dir" 2>/dev/null
         rm -f "$tarball_path"
@@ -442,6 +512,8 @@ fetch_npm() {
             # Pass extract_dir (not pkg_dir) so the parent directory is fully
             # removed when the main loop calls rm -rf on the artifact path.
             # syft receives pkg_dir as a subdirectory of extract_dir.
+            # In a purl the scope's "@" is percent-encoded.
+            record_artifact "$slug" "$version" npm-install-tree "$tarball_url" "pkg:npm/${package_name/@/%40}@${version}" "$tarball_sha256"
             echo "$extract_dir|$version|$pkg_dir"
         else
             echo -e "${RED}      ERROR: npm install failed for ${package_name}@${version}${NC}" >&2
@@ -486,6 +558,11 @@ fetch_pypi() {
     local count=$(echo "$versions" | wc -l | tr -d ' ')
     echo "  Found $count version(s)" >&2
 
+    # Each release lists its files with their upload_time; the rest of the
+    # file metadata (hashes, URLs) is not needed
+    save_registry_metadata "$slug" "$(echo "$metadata" | jq --arg package "$package_name" \
+        '{source: "pypi", package: $package, releases: (.releases | map_values(map({upload_time, upload_time_iso_8601})))}')"
+
     # Install each version so syft can scan the full installed package tree.
     # Downloading the sdist gives syft source files but no dependency metadata —
     # pip install --target captures all transitive deps with their dist-info
@@ -501,6 +578,7 @@ fetch_pypi() {
         fi
 
         local install_dir="$TEMP_DIR/$slug-$version-install"
+        local report_path="$TEMP_DIR/$slug-$version-pip-report.json"
         mkdir -p "$install_dir"
 
         echo "    Version: $version - installing to capture dependency tree" >&2
@@ -508,16 +586,25 @@ fetch_pypi() {
         # --target installs into a flat directory with .dist-info metadata.
         # --no-compile skips .pyc generation (faster, saves space).
         # --no-deps is intentionally NOT used — we want transitive deps.
+        # --report names the exact file pip picked (wheel or sdist) and its hash.
         if pip install \
             "${package_name}==${version}" \
             --target "$install_dir" \
             --no-compile \
             --quiet \
+            --report "$report_path" \
             > /dev/null 2>&1; then
+            local download_info=$(jq -c '[.install[]? | select(.requested == true)][0].download_info // {}' "$report_path" 2>/dev/null || echo '{}')
+            local pypi_name=$(echo "$package_name" | tr '[:upper:]_' '[:lower:]-')
+            record_artifact "$slug" "$version" pip-target \
+                "$(echo "$download_info" | jq -r '.url // ""')" \
+                "pkg:pypi/${pypi_name}@${version}" \
+                "$(echo "$download_info" | jq -r '.archive_info.hashes.sha256 // (.archive_info.hash // "" | sub("^sha256="; ""))')"
+            rm -f "$report_path"
             echo "$install_dir|$version"
         else
             echo -e "${RED}      ERROR: pip install failed for ${package_name}==${version}${NC}" >&2
-            rm -rf "$install_dir"
+            rm -rf "$install_dir" "$report_path"
             pip_install_failed=1
         fi
     done <<< "$versions"
@@ -561,6 +648,24 @@ fetch_nuget() {
     local count=$(echo "$versions" | wc -l | tr -d ' ')
     echo "  Found $count version(s)" >&2
 
+    # The flat container has no dates; "published" comes from the registration
+    # index, whose pages are only inlined for packages with few versions
+    local registration_url="https://api.nuget.org/v3/registration5-gz-semver2/${package_id_lower}/index.json"
+    local registration=$(curl -s --compressed "$registration_url")
+    local catalog_entries=$(echo "$registration" | jq -c '[.items[]? | .items[]? | .catalogEntry | {version, published}]' 2>/dev/null)
+    local page_url
+    while IFS= read -r page_url; do
+        [[ -z "$page_url" ]] && continue
+        local page_entries=$(curl -s --compressed "$page_url" | jq -c '[.items[]? | .catalogEntry | {version, published}]' 2>/dev/null)
+        [[ -n "$page_entries" ]] && catalog_entries=$(echo "$catalog_entries" | jq -c --argjson page "$page_entries" '. + $page')
+    done < <(echo "$registration" | jq -r '.items[]? | select(.items == null) | .["@id"]' 2>/dev/null)
+    if [[ -n "$catalog_entries" ]]; then
+        save_registry_metadata "$slug" "$(jq -n --arg package "$package_name" --argjson catalogEntries "$catalog_entries" \
+            '{source: "nuget", package: $package, catalogEntries: $catalogEntries}')"
+    else
+        save_registry_metadata "$slug" ""
+    fi
+
     # Download and extract each version. syft does not treat .nupkg as an
     # archive to unpack — passing the file directly yields 0 components.
     # Extracting first (nupkg is a zip) gives syft direct access to the
@@ -589,9 +694,11 @@ fetch_nuget() {
             continue
         fi
 
+        local nupkg_sha256=$(sha256_file "$nupkg_path")
         mkdir -p "$extract_dir"
         if unzip -q "$nupkg_path" -d "$extract_dir" 2>/dev/null; then
             rm -f "$nupkg_path"
+            record_artifact "$slug" "$version" nupkg-extract "$package_url" "pkg:nuget/${package_name}@${version}" "$nupkg_sha256"
             echo "$extract_dir|$version"
         else
             echo -e "${RED}      ERROR: Failed to extract $filename${NC}" >&2
@@ -746,6 +853,7 @@ fetch_artifactory() {
                     echo -e "${RED}      ERROR: Downloaded $filename is empty (0 bytes) — skipping${NC}" >&2
                     rm -f "$download_path"
                 else
+                    record_artifact "$slug" "$version" file "" "$version_path/$filename" "$(sha256_file "$download_path")"
                     echo "$download_path|$version"
                 fi
             else
@@ -769,13 +877,16 @@ generate_sboms_for_artifact() {
 
     local spdx_output="$version_dir/sbom.spdx.json"
     local cyclonedx_output="$version_dir/sbom.cyclonedx.json"
+    local generated_at=$(date -u +"%Y-%m-%dT%H:%M:%SZ")
 
     # Syft options for comprehensive scanning:
     # --override-default-catalogers all: Enable all catalogers including binary catalogers for Go, .NET, etc.
     # --enrich: Enable package data enrichment for better dependency detection
+    local catalogers="all"
+    local enrich="golang,java,javascript,python"
     local syft_options=(
-        --override-default-catalogers all
-        --enrich golang,java,javascript,python
+        --override-default-catalogers "$catalogers"
+        --enrich "$enrich"
         -q
     )
 
@@ -794,6 +905,51 @@ generate_sboms_for_artifact() {
         echo -e "${YELLOW}      ✗ CycloneDX generation failed${NC}"
         echo '{"error": "SBOM generation failed"}' > "$cyclonedx_output"
     fi
+
+    write_version_provenance "$version_dir" "$version" "$generated_at" "$catalogers" "$enrich" "${syft_options[@]}"
+}
+
+# version.json: the artifact recorded by the fetcher (record_artifact), how
+# syft was run and when. Written for failed generations too.
+write_version_provenance() {
+    local version_dir="$1"
+    local version="$2"
+    local generated_at="$3"
+    local catalogers="$4"
+    local enrich="$5"
+    shift 5
+    local options_json=$(printf '%s\n' "$@" | jq -R . | jq -sc .)
+
+    local product_slug=$(basename "$(dirname "$version_dir")")
+    local artifact_file="$TEMP_DIR/$product_slug-$version.artifact.json"
+    local artifact_json='{}'
+    if [[ -f "$artifact_file" ]]; then
+        artifact_json=$(cat "$artifact_file")
+        rm -f "$artifact_file"
+    fi
+
+    jq -n \
+        --arg version "$version" \
+        --arg generatedAt "$generated_at" \
+        --argjson artifact "$artifact_json" \
+        --arg syftVersion "$SYFT_VERSION" \
+        --arg catalogers "$catalogers" \
+        --arg enrich "$enrich" \
+        --argjson options "$options_json" \
+        '{
+            version: $version,
+            generatedAt: $generatedAt,
+            artifact: {url: $artifact.url, coordinate: $artifact.coordinate, sha256: $artifact.sha256},
+            scan: {targetType: $artifact.targetType},
+            syft: {
+                version: (if $syftVersion == "" then null else $syftVersion end),
+                catalogers: ($catalogers | split(",")),
+                enrich: ($enrich | split(",")),
+                options: $options
+            }
+        }' > "$version_dir/version.json"
+
+    echo "      Wrote version.json"
 }
 
 write_metadata() {
@@ -804,14 +960,21 @@ write_metadata() {
     local metadata_file="$SBOM_DIR/$product_slug/metadata.json"
     local timestamp=$(date -u +"%Y-%m-%dT%H:%M:%SZ")
 
-    cat > "$metadata_file" <<EOF
-{
-  "name": "$product_name",
-  "slug": "$product_slug",
-  "source": "$source",
-  "generatedAt": "$timestamp"
-}
-EOF
+    # Release dates (version -> YYYY-MM-DD) are kept across runs; build-index.sh
+    # copies them into index.json
+    local release_dates='{}'
+    if [[ -f "$metadata_file" ]]; then
+        release_dates=$(jq -c '.releaseDates // {}' "$metadata_file" 2>/dev/null || echo '{}')
+    fi
+
+    jq -n \
+        --arg name "$product_name" \
+        --arg slug "$product_slug" \
+        --arg source "$source" \
+        --arg generatedAt "$timestamp" \
+        --argjson releaseDates "$release_dates" \
+        '{name: $name, slug: $slug, source: $source, generatedAt: $generatedAt, releaseDates: $releaseDates}' \
+        > "$metadata_file"
 
     echo "  Wrote metadata.json"
 }
@@ -844,13 +1007,18 @@ main() {
         curl -sSfL https://raw.githubusercontent.com/anchore/syft/main/install.sh | sh -s -- -b /usr/local/bin
     fi
 
+    # Recorded in every version.json
+    SYFT_VERSION=$(syft version -o json 2>/dev/null | jq -r '.version // empty' || true)
+    echo "Syft version: ${SYFT_VERSION:-unknown}"
+
     # Validate configuration
     validate_config
     echo ""
 
-    # Create directories
+    # Create directories; registry metadata from an earlier run is dropped
     mkdir -p "$SBOM_DIR"
     mkdir -p "$TEMP_DIR"
+    rm -rf "$REGISTRY_DIR"
 
     # Process each product
     local product_count=$(yq eval '.products | length' "$CONFIG_FILE")
@@ -918,8 +1086,9 @@ main() {
         echo ""
     done
 
-    # Clean up temp directory
-    rm -rf "$TEMP_DIR"
+    # Clean up temp directory, keeping the registry metadata for
+    # fill-release-dates.js (the workflow removes temp/ at the end)
+    find "$TEMP_DIR" -mindepth 1 -maxdepth 1 ! -name registry -exec rm -rf {} +
 
     echo "================================================"
     echo -e "${GREEN}✓ SBOM generation complete!${NC}"
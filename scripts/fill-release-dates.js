@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+// Fill in release dates from the registry metadata fetch-and-generate.sh saves
+// to temp/registry/{slug}.json, so registry products never need hand editing:
+//
+//   npm     time[version]                         publish timestamp
+//   PyPI    releases[version][].upload_time       earliest file upload
+//   NuGet   catalogEntries[].published            registration index
+//   Maven   lastModified[version]                 Last-Modified of the POM
+//
+// Only versions with SBOMs are dated; the registry wins over an existing date.
+// S3 and Artifactory products have no registry metadata and keep the dates set
+// with update-release-dates.js.
+//
+//   node scripts/fill-release-dates.js [--registry <dir>] [--index <path>] [--dry-run]
+
+const fs = require('fs');
+const path = require('path');
+const { validateEntries, planChanges, printChanges, applyChanges } = require('./update-release-dates');
+
+const DEFAULT_REGISTRY = path.join(__dirname, '..', 'temp', 'registry');
+const DEFAULT_INDEX = path.join(__dirname, '..', 'docs', 'sboms', 'index.json');
+const REGISTRY_SOURCES = ['npm', 'pypi', 'nuget', 'maven'];
+
+const USAGE = `Usage: node scripts/fill-release-dates.js [--registry <dir>] [--index <path>] [--dry-run]
+
+  --registry <dir>  Registry metadata saved by fetch-and-generate.sh (default: temp/registry)
+  --index <path>    index.json to update (default: docs/sboms/index.json);
+                    product directories are looked up next to it
+  --dry-run         Show the changes without writing anything`;
+
+function parseArgs(argv) {
+    const options = { registryDir: DEFAULT_REGISTRY, indexPath: DEFAULT_INDEX, dryRun: false, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--registry' || arg === '--index') {
+            if (!argv[i + 1]) throw new Error(`${arg} needs a path`);
+            const value = path.resolve(argv[++i]);
+            if (arg === '--registry') options.registryDir = value;
+            else options.indexPath = value;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            throw new Error(`Unknown argument ${arg}`);
+        }
+    }
+    return options;
+}
+
+// YYYY-MM-DD (UTC) of a registry timestamp, or null when unparseable.
+// NuGet reports unlisted packages as published on 1900-01-01.
+function toReleaseDate(timestamp) {
+    if (typeof timestamp !== 'string' || !timestamp) return null;
+    // PyPI's upload_time has no zone but is UTC
+    const parsed = new Date(/^\d{4}-\d{2}-\d{2}T[\d:.]+$/.test(timestamp) ? `${timestamp}Z` : timestamp);
+    if (Number.isNaN(parsed.getTime()) || parsed.getUTCFullYear() < 1990) return null;
+    return parsed.toISOString().slice(0, 10);
+}
+
+// version -> raw timestamp from one registry file
+function getRegistryTimestamps(registry) {
+    const timestamps = {};
+    switch (registry.source) {
+        case 'npm':
+            // "created" and "modified" sit next to the versions; they never
+            // match a version directory
+            Object.assign(timestamps, registry.time || {});
+            break;
+        case 'pypi':
+            for (const [version, files] of Object.entries(registry.releases || {})) {
+                const uploads = (files || [])
+                    .map(file => file.upload_time_iso_8601 || file.upload_time)
+                    .filter(Boolean)
+                    .sort();
+                if (uploads.length > 0) timestamps[version] = uploads[0];
+            }
+            break;
+        case 'nuget':
+            // Registration versions keep their original casing; the flat
+            // container (and so the version directories) uses lower case
+            for (const entry of registry.catalogEntries || []) {
+                if (entry && entry.version) timestamps[entry.version.toLowerCase()] = entry.published;
+            }
+            break;
+        case 'maven':
+            Object.assign(timestamps, registry.lastModified || {});
+            break;
+        default:
+            throw new Error(`unknown registry source "${registry.source}"`);
+    }
+    return timestamps;
+}
+
+// Version directories of a product that hold at least one SBOM
+function listSbomVersions(productDir) {
+    return fs.readdirSync(productDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .filter(version => ['spdx', 'cyclonedx'].some(format =>
+            fs.existsSync(path.join(productDir, version, `sbom.${format}.json`))));
+}
+
+// [{ product, version, date, where }] for every dated SBOM version, in the
+// shape update-release-dates.js validates and applies
+function collectEntries(registryDir, sbomDir) {
+    const entries = [];
+    const products = fs.readdirSync(sbomDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && fs.existsSync(path.join(sbomDir, entry.name, 'metadata.json')))
+        .map(entry => entry.name)
+        .sort();
+
+    for (const slug of products) {
+        const metadata = JSON.parse(fs.readFileSync(path.join(sbomDir, slug, 'metadata.json'), 'utf8'));
+        if (!REGISTRY_SOURCES.includes(metadata.source)) continue;
+
+        const registryPath = path.join(registryDir, `${slug}.json`);
+        if (!fs.existsSync(registryPath)) {
+            console.warn(`  ⚠ Warning: No registry metadata for ${slug} (${metadata.source}), release dates unchanged`);
+            continue;
+        }
+
+        let timestamps;
+        try {
+            timestamps = getRegistryTimestamps(JSON.parse(fs.readFileSync(registryPath, 'utf8')));
+        } catch (error) {
+            console.warn(`  ⚠ Warning: Could not read ${path.relative(process.cwd(), registryPath)}: ${error.message}`);
+            continue;
+        }
+
+        const undated = [];
+        for (const version of listSbomVersions(path.join(sbomDir, slug))) {
+            const date = toReleaseDate(timestamps[version] || timestamps[version.toLowerCase()]);
+            if (date) {
+                entries.push({ product: slug, version: version, date: date, where: path.basename(registryPath) });
+            } else {
+                undated.push(version);
+            }
+        }
+        if (undated.length > 0) {
+            console.warn(`  ⚠ Warning: ${slug}: no registry date for ${undated.join(', ')}`);
+        }
+    }
+    return entries;
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`ERROR: ${error.message}`);
+        console.error(USAGE);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (!fs.existsSync(options.registryDir)) {
+        console.warn(`  ⚠ Warning: ${options.registryDir} not found; run scripts/fetch-and-generate.sh first`);
+        return 0;
+    }
+
+    const sbomDir = path.dirname(options.indexPath);
+    const entries = collectEntries(options.registryDir, sbomDir);
+    const { updates, errors } = validateEntries(entries, sbomDir);
+    if (errors.length > 0) {
+        console.error(`ERROR: ${errors.length} registry dates rejected, nothing written:`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        return 1;
+    }
+
+    const plans = planChanges(updates, sbomDir);
+    const changeCount = plans.reduce((sum, plan) => sum + plan.changes.length, 0);
+    if (changeCount === 0) {
+        console.log(`✓ All ${entries.length} registry release dates are already up to date`);
+        return 0;
+    }
+
+    printChanges(plans);
+    if (options.dryRun) {
+        console.log(`\nDry run: ${changeCount} release date${changeCount !== 1 ? 's' : ''} would change, nothing written`);
+        return 0;
+    }
+
+    applyChanges(plans, options.indexPath);
+    console.log(`\n✓ Filled ${changeCount} release date${changeCount !== 1 ? 's' : ''} from registry metadata in ${plans.length} product${plans.length !== 1 ? 's' : ''}`);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { getRegistryTimestamps, toReleaseDate, collectEntries };
@@ -1,89 +1,355 @@
 #!/usr/bin/env node
 
+// Set release dates for product versions from a YAML, JSON or CSV file.
+// Dates are written to each product's metadata.json ("releaseDates"), which
+// build-index.sh copies into index.json on every rebuild, and to the index
+// itself so the site shows them without a rebuild.
+//
+//   node scripts/update-release-dates.js <file> [--dry-run] [--index <path>]
+//
+// Products are SBOM directory slugs and versions are version directories next
+// to the index (docs/sboms/ by default); anything else is an error and nothing
+// is written. Dates are YYYY-MM-DD. Accepted input:
+//
+//   YAML   eop:                          or   - product: eop
+//            3.12.10: 2026-01-23                version: 3.12.10
+//                                               date: 2026-01-23
+//   JSON   { "eop": { "3.12.10": "2026-01-23" } }
+//          or [{ "product": "eop", "version": "3.12.10", "date": "2026-01-23" }]
+//   CSV    product,version,date
+//          eop,3.12.10,2026-01-23
+//
+// YAML values are read as plain strings, so 3.10 stays "3.10". Exit codes:
+// 0 = done (or nothing to change), 1 = unknown products/versions or invalid
+// dates, 2 = bad arguments or unreadable input.
+
 const fs = require('fs');
 const path = require('path');
 
-// Parse the custom format
-const dateUpdates = `eop:3.11.11,2025-01-21|3.12.0,2025-02-26|3.12.1,2025-03-20|3.12.2,2025-04-22|3.12.3,2025-05-22|3.12.4,2025-06-20|3.12.4-PATCH,2026-01-14|3.12.5,2025-07-22|3.12.6,2025-07-21|3.12.7,2025-09-23|3.12.8,2025-10-23|3.12.9,2025-12-16|3.12.10,2026-01-23;java-agent:6.19.0(latest),2025-06-24`;
-
-// Parse the data
-const updates = {};
-const products = dateUpdates.split(';');
-
-products.forEach(productData => {
-    const [productName, versionsData] = productData.split(':');
-    const normalizedProductName = productName.trim().toLowerCase().replace(/\s+/g, '-');
-    
-    updates[normalizedProductName] = {};
-    
-    const versions = versionsData.split('|');
-    versions.forEach(versionData => {
-        const [version, date] = versionData.split(',');
-        // Handle version like "6.19.0(latest)" -> "latest"
-        const cleanVersion = version.includes('(latest)') ? 'latest' : version.trim();
-        updates[normalizedProductName][cleanVersion] = date.trim();
-    });
-});
-
-console.log('Parsed updates:');
-console.log(JSON.stringify(updates, null, 2));
-
-// Read current index.json
-const indexPath = path.join(__dirname, '..', 'sboms', 'index.json');
-const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
-
-let updatedCount = 0;
-let notFoundCount = 0;
-const notFound = [];
-
-// Update release dates
-index.products.forEach(product => {
-    const productSlug = product.name.toLowerCase().replace(/\s+/g, '-');
-    
-    if (updates[productSlug]) {
-        product.versions.forEach(version => {
-            if (updates[productSlug][version.version]) {
-                const newDate = updates[productSlug][version.version];
-                console.log(`Updating ${product.name} ${version.version}: ${version.releaseDate} → ${newDate}`);
-                version.releaseDate = newDate;
-                updatedCount++;
+const DEFAULT_INDEX = path.join(__dirname, '..', 'docs', 'sboms', 'index.json');
+
+const USAGE = `Usage: node scripts/update-release-dates.js <file.yml|file.json|file.csv> [--dry-run] [--index <path>]
+
+  --dry-run        Show the changes without writing anything
+  --index <path>   index.json to update (default: docs/sboms/index.json);
+                   product directories are looked up next to it`;
+
+class InputError extends Error {}
+
+function parseArgs(argv) {
+    const options = { file: null, dryRun: false, indexPath: DEFAULT_INDEX, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--index') {
+            if (!argv[i + 1]) throw new InputError('--index needs a path');
+            options.indexPath = path.resolve(argv[++i]);
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new InputError(`Unknown option ${arg}`);
+        } else if (options.file) {
+            throw new InputError(`Only one input file is accepted (got ${options.file} and ${arg})`);
+        } else {
+            options.file = arg;
+        }
+    }
+    return options;
+}
+
+// [{ product, version, date, where }] from the input file, by extension
+function readEntries(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new InputError(`Cannot read ${file}: ${error.message}`);
+    }
+
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.json') return parseJsonEntries(text, file);
+    if (ext === '.csv') return parseCsvEntries(text, file);
+    if (ext === '.yml' || ext === '.yaml') return parseYamlEntries(text, file);
+    throw new InputError(`Unsupported input ${file}: use .yml, .yaml, .json or .csv`);
+}
+
+function parseJsonEntries(text, file) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new InputError(`${file} is not valid JSON: ${error.message}`);
+    }
+
+    if (Array.isArray(data)) {
+        return data.map((entry, i) => ({
+            product: String(entry.product ?? ''),
+            version: String(entry.version ?? ''),
+            date: String(entry.date ?? ''),
+            where: `${file}[${i}]`
+        }));
+    }
+    if (data && typeof data === 'object') {
+        return Object.entries(data).flatMap(([product, versions]) => {
+            if (!versions || typeof versions !== 'object') {
+                throw new InputError(`${file}: "${product}" must map versions to dates`);
             }
+            return Object.entries(versions).map(([version, date]) => ({
+                product: product, version: version, date: String(date), where: `${file} ${product}`
+            }));
         });
     }
-});
+    throw new InputError(`${file} must hold an object or an array`);
+}
 
-// Check for versions that weren't found
-Object.keys(updates).forEach(productSlug => {
-    Object.keys(updates[productSlug]).forEach(version => {
-        const product = index.products.find(p => 
-            p.name.toLowerCase().replace(/\s+/g, '-') === productSlug
-        );
-        
-        if (!product) {
-            notFound.push(`${productSlug}:${version} - product not found`);
-            notFoundCount++;
+// Header row naming product, version and date (in any order); # lines are comments
+function parseCsvEntries(text, file) {
+    const rows = text.split(/\r?\n/)
+        .map((line, i) => ({ line: i + 1, cells: splitCsvLine(line) }))
+        .filter(row => row.cells.some(cell => cell) && !row.cells[0].startsWith('#'));
+    if (rows.length === 0) return [];
+
+    const header = rows[0].cells.map(cell => cell.toLowerCase());
+    const columns = ['product', 'version', 'date'].map(name => header.indexOf(name));
+    if (columns.includes(-1)) {
+        throw new InputError(`${file}: the header must name the product, version and date columns`);
+    }
+
+    return rows.slice(1).map(row => ({
+        product: row.cells[columns[0]] || '',
+        version: row.cells[columns[1]] || '',
+        date: row.cells[columns[2]] || '',
+        where: `${file}:${row.line}`
+    }));
+}
+
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell.trim());
+            cell = '';
         } else {
-            const versionObj = product.versions.find(v => v.version === version);
-            if (!versionObj) {
-                notFound.push(`${product.name}:${version} - version not found`);
-                notFoundCount++;
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+// The two YAML shapes shown at the top: a product -> version -> date mapping,
+// or a list of product/version/date items. No other YAML features.
+function parseYamlEntries(text, file) {
+    const entries = [];
+    let product = null;
+    let item = null;
+
+    const unquote = (value) => value.replace(/^(["'])(.*)\1$/, '$2');
+    const finishItem = () => {
+        if (item) entries.push(item);
+        item = null;
+    };
+
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const where = `${file}:${i + 1}`;
+        const line = raw.replace(/(^|\s)#.*$/, '').trimEnd();
+        if (!line.trim() || line.trim() === '---') return;
+
+        const indent = line.length - line.trimStart().length;
+        let content = line.trim();
+        const listItem = content.startsWith('- ');
+        if (listItem) {
+            finishItem();
+            product = null;
+            item = { product: '', version: '', date: '', where: where };
+            content = content.slice(2).trim();
+        }
+
+        const match = /^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/.exec(content);
+        if (!match) throw new InputError(`${where}: expected "key: value"`);
+        const key = unquote(match[1].trim());
+        const value = unquote((match[2] || '').trim());
+
+        if (item && (listItem || indent > 0)) {
+            if (!['product', 'version', 'date'].includes(key)) {
+                throw new InputError(`${where}: unknown field "${key}" (expected product, version or date)`);
             }
+            item[key] = value;
+        } else if (indent === 0 && !value) {
+            finishItem();
+            product = key;
+        } else if (indent > 0 && product) {
+            entries.push({ product: product, version: key, date: value, where: where });
+        } else {
+            throw new InputError(`${where}: expected a product name, a "version: date" line or a list item`);
         }
     });
-});
+    finishItem();
+    return entries;
+}
+
+// A real calendar date in YYYY-MM-DD form
+function isValidDate(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+// Check every entry against the SBOM directories; returns { updates, errors }
+// with updates as slug -> version -> date
+function validateEntries(entries, sbomDir) {
+    const updates = {};
+    const errors = [];
+
+    for (const entry of entries) {
+        const label = `${entry.where}: ${entry.product || '?'} ${entry.version || '?'}`;
+        const productDir = path.join(sbomDir, entry.product);
+        const versionDir = path.join(productDir, entry.version);
+
+        if (!entry.product || !/^[a-z0-9][a-z0-9._-]*$/.test(entry.product) ||
+            !fs.existsSync(path.join(productDir, 'metadata.json'))) {
+            errors.push(`${label} - unknown product "${entry.product}"`);
+        } else if (!entry.version || entry.version.includes('/') || entry.version.startsWith('.') ||
+            !['spdx', 'cyclonedx'].some(format => fs.existsSync(path.join(versionDir, `sbom.${format}.json`)))) {
+            errors.push(`${label} - unknown version (no SBOMs in ${path.relative(process.cwd(), versionDir)})`);
+        } else if (!isValidDate(entry.date)) {
+            errors.push(`${label} - invalid date "${entry.date}" (expected YYYY-MM-DD)`);
+        } else {
+            const versions = updates[entry.product] || (updates[entry.product] = {});
+            if (versions[entry.version] && versions[entry.version] !== entry.date) {
+                errors.push(`${label} - listed twice with different dates (${versions[entry.version]}, ${entry.date})`);
+            }
+            versions[entry.version] = entry.date;
+        }
+    }
+    return { updates, errors };
+}
+
+// Changed dates per product: [{ slug, metadataPath, metadata, changes: [{ version, from, to }] }]
+function planChanges(updates, sbomDir) {
+    return Object.entries(updates).map(([slug, versions]) => {
+        const metadataPath = path.join(sbomDir, slug, 'metadata.json');
+        const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+        const current = metadata.releaseDates || {};
+        const changes = Object.entries(versions)
+            .filter(([version, date]) => current[version] !== date)
+            .map(([version, date]) => ({ version: version, from: current[version] || null, to: date }));
+        return { slug, metadataPath, metadata, changes };
+    }).filter(plan => plan.changes.length > 0);
+}
+
+// Diff-style preview: - old date, + new date
+function printChanges(plans) {
+    for (const plan of plans) {
+        console.log(`--- ${path.relative(process.cwd(), plan.metadataPath)}`);
+        console.log(`+++ ${path.relative(process.cwd(), plan.metadataPath)}`);
+        for (const change of plan.changes) {
+            if (change.from) console.log(`-  ${change.version}: ${change.from}`);
+            console.log(`+  ${change.version}: ${change.to}`);
+        }
+    }
+}
+
+// releaseDate goes right after generatedAt, where build-index.sh puts it
+function setReleaseDate(version, date) {
+    const { version: name, generatedAt, releaseDate, ...rest } = version;
+    return { version: name, generatedAt: generatedAt, releaseDate: date, ...rest };
+}
+
+function applyChanges(plans, indexPath) {
+    const index = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, 'utf8')) : null;
+    if (!index) {
+        console.warn(`  ⚠ Warning: ${indexPath} not found, only metadata.json files updated; run scripts/build-index.sh`);
+    }
+
+    for (const plan of plans) {
+        plan.metadata.releaseDates = plan.metadata.releaseDates || {};
+        plan.changes.forEach(change => { plan.metadata.releaseDates[change.version] = change.to; });
+        fs.writeFileSync(plan.metadataPath, JSON.stringify(plan.metadata, null, 2) + '\n');
 
-// Update generated timestamp
-index.generated = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+        const product = index && (index.products || []).find(p => p.slug === plan.slug);
+        if (!index) continue;
+        if (!product) {
+            console.warn(`  ⚠ Warning: ${plan.slug} is not in the index yet; run scripts/build-index.sh`);
+            continue;
+        }
+        for (const change of plan.changes) {
+            const i = product.versions.findIndex(v => v.version === change.version);
+            if (i === -1) {
+                console.warn(`  ⚠ Warning: ${plan.slug} ${change.version} is not in the index yet; run scripts/build-index.sh`);
+                continue;
+            }
+            product.versions[i] = setReleaseDate(product.versions[i], change.to);
+        }
+    }
+
+    if (index) {
+        fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + '\n');
+    }
+}
+
+function main(argv) {
+    let options;
+    let entries;
+    try {
+        options = parseArgs(argv);
+        if (options.help) {
+            console.log(USAGE);
+            return 0;
+        }
+        if (!options.file) throw new InputError('No input file given');
+        entries = readEntries(options.file);
+    } catch (error) {
+        if (!(error instanceof InputError)) throw error;
+        console.error(`ERROR: ${error.message}`);
+        console.error(USAGE);
+        return 2;
+    }
+
+    const sbomDir = path.dirname(options.indexPath);
+    const { updates, errors } = validateEntries(entries, sbomDir);
+    if (errors.length > 0) {
+        console.error(`ERROR: ${errors.length} of ${entries.length} entries rejected, nothing written:`);
+        errors.forEach(error => console.error(`  - ${error}`));
+        return 1;
+    }
+
+    const plans = planChanges(updates, sbomDir);
+    const changeCount = plans.reduce((sum, plan) => sum + plan.changes.length, 0);
+    if (changeCount === 0) {
+        console.log(`✓ All ${entries.length} release dates are already up to date`);
+        return 0;
+    }
+
+    printChanges(plans);
+    if (options.dryRun) {
+        console.log(`\nDry run: ${changeCount} release date${changeCount !== 1 ? 's' : ''} would change, nothing written`);
+        return 0;
+    }
+
+    applyChanges(plans, options.indexPath);
+    console.log(`\n✓ Updated ${changeCount} release date${changeCount !== 1 ? 's' : ''} in ${plans.length} product${plans.length !== 1 ? 's' : ''}`);
+    console.log('Run "node scripts/build-site.js" to rebuild the site');
+    return 0;
+}
 
-// Write back to file
-fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+module.exports = { readEntries, validateEntries, isValidDate, planChanges, printChanges, applyChanges };
 
-console.log('\n===========================================');
-console.log(`✅ Updated ${updatedCount} release dates`);
-if (notFoundCount > 0) {
-    console.log(`⚠️  ${notFoundCount} version(s) not found in index:`);
-    notFound.forEach(item => console.log(`   - ${item}`));
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
 }
-console.log('===========================================');
-console.log(`\nIndex file updated: ${indexPath}`);
-console.log('Run "node scripts/build-site.js" to rebuild the site');
@@ -0,0 +1,406 @@
+#!/usr/bin/env node
+
+// Validate every SBOM listed in docs/sboms/index.json against the official
+// CycloneDX 1.6 and SPDX 2.3 JSON schemas in config/schemas/ and record the
+// result per format in index.json:
+//
+//   "validation": { "spdx": { "status": "valid" },
+//                   "cyclonedx": { "status": "failed", "error": "SBOM generation failed" } }
+//
+// "failed" covers the {"error": ...} stub fetch-and-generate.sh writes when
+// syft fails, unreadable JSON and schema violations; the site does not offer
+// failed formats for download. A missing schema file is an error: the build
+// stops rather than publishing SBOMs nobody checked. Run by build-site.js;
+// can also be run on its own:
+//
+//   node scripts/validate-sboms.js
+
+const fs = require('fs');
+const path = require('path');
+
+const SBOM_DIR = path.join(__dirname, '..', 'docs', 'sboms');
+const SCHEMA_DIR = path.join(__dirname, '..', 'config', 'schemas');
+
+// Format -> schema file in config/schemas/ (see the README there for sources)
+const SBOM_SCHEMAS = {
+    spdx: { file: 'spdx-2.3.schema.json', label: 'SPDX 2.3' },
+    cyclonedx: { file: 'bom-1.6.schema.json', label: 'CycloneDX 1.6' }
+};
+
+// Schema errors kept per file; the first one is shown on the site
+const MAX_ERRORS = 5;
+
+// Validate all versions and rewrite index.json; returns the number of failed files
+function validateSboms(sbomDir = SBOM_DIR, schemaDir = SCHEMA_DIR) {
+    const indexPath = path.join(sbomDir, 'index.json');
+    if (!fs.existsSync(indexPath)) {
+        console.warn('  ⚠ Warning: sboms/index.json not found, skipping SBOM validation');
+        return 0;
+    }
+
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    const schemas = loadSchemas(schemaDir);
+    const missing = Object.values(SBOM_SCHEMAS).filter(schema => !schemas.has(schema.file));
+    if (missing.length > 0) {
+        throw new Error(missing.map(schema => `config/schemas/${schema.file} not found, ${schema.label} SBOMs cannot be validated`).join('; ') +
+            ' (see config/schemas/README.md)');
+    }
+
+    let checked = 0;
+    let failed = 0;
+    for (const product of index.products || []) {
+        for (const version of product.versions || []) {
+            const validation = {};
+            for (const format of version.formats || []) {
+                if (!SBOM_SCHEMAS[format]) continue;
+
+                const sbomPath = path.join(sbomDir, product.slug, version.version, `sbom.${format}.json`);
+                const result = validateSbomFile(sbomPath, format, schemas);
+                validation[format] = result;
+                checked++;
+                if (result.status === 'failed') {
+                    failed++;
+                    console.warn(`  ⚠ Warning: ${product.slug}/${version.version} ${format}: ${result.error}`);
+                }
+            }
+            version.validation = validation;
+        }
+    }
+
+    fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + '\n');
+    console.log(`  ✓ Validated ${checked} SBOMs${failed > 0 ? `, ${failed} failed` : ''}`);
+    return failed;
+}
+
+// Whether an index.json version has a usable SBOM in this format. Other build
+// steps skip failed formats so they don't count towards stats or search.
+function isFormatAvailable(version, format) {
+    if (!(version.formats || []).includes(format)) return false;
+    const result = (version.validation || {})[format];
+    return !result || result.status !== 'failed';
+}
+
+// { status: 'valid' } or { status: 'failed', error, errors? }
+function validateSbomFile(sbomPath, format, schemas) {
+    let sbom;
+    try {
+        sbom = JSON.parse(fs.readFileSync(sbomPath, 'utf8'));
+    } catch (error) {
+        return {
+            status: 'failed',
+            error: error.code === 'ENOENT' ? 'SBOM file is missing' : `SBOM is not valid JSON: ${error.message}`
+        };
+    }
+
+    // fetch-and-generate.sh writes {"error": "SBOM generation failed"} when syft fails
+    if (!sbom || typeof sbom !== 'object' || Array.isArray(sbom)) {
+        return { status: 'failed', error: 'SBOM is not a JSON object' };
+    }
+    if (typeof sbom.error === 'string') {
+        return { status: 'failed', error: sbom.error };
+    }
+
+    const { file, label } = SBOM_SCHEMAS[format];
+    const schema = schemas.get(file);
+    if (!schema) {
+        throw new Error(`config/schemas/${file} not found, ${label} SBOMs cannot be validated`);
+    }
+
+    const errors = validateSchema(sbom, schema, schemas);
+    if (errors.length === 0) {
+        return { status: 'valid' };
+    }
+    const messages = errors.slice(0, MAX_ERRORS).map(e => `${e.path || '/'}: ${e.message}`);
+    return {
+        status: 'failed',
+        error: `Does not match the ${label} schema (${messages[0]})`,
+        errors: messages
+    };
+}
+
+// Schema file name -> schema, for the SBOM schemas and the files they $ref
+function loadSchemas(schemaDir) {
+    const schemas = new Map();
+    if (!fs.existsSync(schemaDir)) return schemas;
+
+    for (const file of fs.readdirSync(schemaDir)) {
+        if (!file.endsWith('.json')) continue;
+        try {
+            schemas.set(file, JSON.parse(fs.readFileSync(path.join(schemaDir, file), 'utf8')));
+        } catch (error) {
+            console.warn(`  ⚠ Warning: could not read config/schemas/${file}: ${error.message}`);
+        }
+    }
+    return schemas;
+}
+
+// A small JSON Schema (draft-07) validator covering the keywords the SBOM
+// schemas use. "format" is only checked for date-time. Returns a list of
+// { path, message }, stopping after MAX_ERRORS.
+function validateSchema(data, rootSchema, schemas) {
+    const errors = [];
+    checkSchema(data, rootSchema, { root: rootSchema, schemas: schemas }, '', errors);
+    return errors;
+}
+
+function checkSchema(data, schema, context, pointer, errors) {
+    if (errors.length >= MAX_ERRORS) return;
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+        errors.push({ path: pointer, message: 'is not allowed' });
+        return;
+    }
+
+    // In draft-07 $ref replaces the rest of the schema
+    if (schema.$ref) {
+        const target = resolveRef(schema.$ref, context);
+        if (!target) {
+            errors.push({ path: pointer, message: `cannot resolve schema reference ${schema.$ref}` });
+            return;
+        }
+        checkSchema(data, target.schema, target.context, pointer, errors);
+        return;
+    }
+
+    const fail = (message) => errors.push({ path: pointer, message: message });
+    const type = getJsonType(data);
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = types.some(t => t === type || (t === 'number' && type === 'integer'));
+        if (!matches) {
+            fail(`must be ${types.join(' or ')}, found ${type}`);
+            return;
+        }
+    }
+    if (schema.const !== undefined && !jsonEqual(data, schema.const)) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !matchesEnum(data, schema.enum)) {
+        const shown = schema.enum.slice(0, 5).map(v => JSON.stringify(v)).join(', ');
+        fail(`must be one of ${shown}${schema.enum.length > 5 ? ', ...' : ''}, found ${JSON.stringify(data)}`);
+    }
+
+    if (type === 'string') checkString(data, schema, fail);
+    if (type === 'number' || type === 'integer') checkNumber(data, schema, fail);
+    if (type === 'array') checkArray(data, schema, context, pointer, errors, fail);
+    if (type === 'object') checkObject(data, schema, context, pointer, errors, fail);
+
+    if (schema.allOf) {
+        schema.allOf.forEach(sub => checkSchema(data, sub, context, pointer, errors));
+    }
+    if (schema.anyOf && !schema.anyOf.some(sub => isValid(data, sub, context))) {
+        fail('must match a schema in anyOf');
+    }
+    if (schema.oneOf) {
+        const count = schema.oneOf.filter(sub => isValid(data, sub, context)).length;
+        if (count !== 1) fail(`must match exactly one schema in oneOf, matches ${count}`);
+    }
+    if (schema.not !== undefined && isValid(data, schema.not, context)) {
+        fail('must not match the "not" schema');
+    }
+    if (schema.if !== undefined) {
+        const branch = isValid(data, schema.if, context) ? schema.then : schema.else;
+        if (branch !== undefined) checkSchema(data, branch, context, pointer, errors);
+    }
+}
+
+function isValid(data, schema, context) {
+    const errors = [];
+    checkSchema(data, schema, context, '', errors);
+    return errors.length === 0;
+}
+
+function checkString(data, schema, fail) {
+    const length = Array.from(data).length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+        fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+        fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !getPattern(schema.pattern).test(data)) {
+        fail(`must match pattern ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && !isDateTime(data)) {
+        fail('must be a date-time');
+    }
+}
+
+function checkNumber(data, schema, fail) {
+    if (schema.minimum !== undefined && data < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && data > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === 'number' && data <= schema.exclusiveMinimum) {
+        fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && data >= schema.exclusiveMaximum) {
+        fail(`must be < ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined && !Number.isInteger(data / schema.multipleOf)) {
+        fail(`must be a multiple of ${schema.multipleOf}`);
+    }
+}
+
+function checkArray(data, schema, context, pointer, errors, fail) {
+    if (schema.minItems !== undefined && data.length < schema.minItems) {
+        fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+        fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems === true) {
+        const seen = new Set();
+        for (const item of data) {
+            const key = canonicalJson(item);
+            if (seen.has(key)) {
+                fail('must not contain duplicate items');
+                break;
+            }
+            seen.add(key);
+        }
+    }
+
+    if (Array.isArray(schema.items)) {
+        data.forEach((item, i) => {
+            const itemSchema = i < schema.items.length ? schema.items[i] : schema.additionalItems;
+            checkSchema(item, itemSchema, context, `${pointer}/${i}`, errors);
+        });
+    } else if (schema.items !== undefined) {
+        data.forEach((item, i) => checkSchema(item, schema.items, context, `${pointer}/${i}`, errors));
+    }
+    if (schema.contains !== undefined && !data.some(item => isValid(item, schema.contains, context))) {
+        fail('must contain an item matching the "contains" schema');
+    }
+}
+
+function checkObject(data, schema, context, pointer, errors, fail) {
+    const keys = Object.keys(data);
+    for (const key of schema.required || []) {
+        if (!Object.prototype.hasOwnProperty.call(data, key)) fail(`must have property "${key}"`);
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+        fail(`must have at least ${schema.minProperties} properties`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+        fail(`must have at most ${schema.maxProperties} properties`);
+    }
+
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {});
+    for (const key of keys) {
+        const keyPointer = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+        if (schema.propertyNames !== undefined && !isValid(key, schema.propertyNames, context)) {
+            fail(`has an invalid property name "${key}"`);
+        }
+
+        let matched = false;
+        if (Object.prototype.hasOwnProperty.call(properties, key)) {
+            checkSchema(data[key], properties[key], context, keyPointer, errors);
+            matched = true;
+        }
+        for (const [pattern, patternSchema] of patterns) {
+            if (getPattern(pattern).test(key)) {
+                checkSchema(data[key], patternSchema, context, keyPointer, errors);
+                matched = true;
+            }
+        }
+        if (!matched && schema.additionalProperties !== undefined) {
+            if (schema.additionalProperties === false) {
+                fail(`must not have property "${key}"`);
+            } else {
+                checkSchema(data[key], schema.additionalProperties, context, keyPointer, errors);
+            }
+        }
+    }
+
+    for (const [key, dependency] of Object.entries(schema.dependencies || {})) {
+        if (!Object.prototype.hasOwnProperty.call(data, key)) continue;
+        if (Array.isArray(dependency)) {
+            dependency.filter(name => !Object.prototype.hasOwnProperty.call(data, name))
+                .forEach(name => fail(`must have property "${name}" when "${key}" is present`));
+        } else {
+            checkSchema(data, dependency, context, pointer, errors);
+        }
+    }
+}
+
+// "#/definitions/x" in the current schema, or "other.schema.json#/..." from
+// config/schemas/ (matched by file name, as the CycloneDX schemas refer to
+// their siblings). Returns { schema, context } with the new root for nested refs.
+function resolveRef(ref, context) {
+    const [base, fragment = ''] = ref.split('#');
+    let root = context.root;
+    if (base) {
+        root = context.schemas.get(base.split('/').pop());
+        if (!root) return null;
+    }
+
+    let target = root;
+    for (const part of fragment.split('/').slice(1)) {
+        const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+        if (!target || typeof target !== 'object' || !(key in target)) return null;
+        target = target[key];
+    }
+    return { schema: target, context: { root: root, schemas: context.schemas } };
+}
+
+function getJsonType(data) {
+    if (data === null) return 'null';
+    if (Array.isArray(data)) return 'array';
+    if (typeof data === 'number') return Number.isInteger(data) ? 'integer' : 'number';
+    return typeof data;
+}
+
+// Enums of strings (the SPDX license list has hundreds) are checked via a cached Set
+const enumSets = new WeakMap();
+function matchesEnum(data, values) {
+    if (typeof data !== 'object' || data === null) {
+        if (!enumSets.has(values)) enumSets.set(values, new Set(values.filter(v => typeof v !== 'object' || v === null)));
+        return enumSets.get(values).has(data);
+    }
+    return values.some(value => jsonEqual(data, value));
+}
+
+function jsonEqual(a, b) {
+    return canonicalJson(a) === canonicalJson(b);
+}
+
+// JSON with sorted object keys, so equal objects compare equal
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+const patternCache = new Map();
+function getPattern(pattern) {
+    if (!patternCache.has(pattern)) {
+        let regex;
+        try {
+            regex = new RegExp(pattern, 'u');
+        } catch (error) {
+            regex = new RegExp(pattern);
+        }
+        patternCache.set(pattern, regex);
+    }
+    return patternCache.get(pattern);
+}
+
+// RFC 3339 date-time, e.g. 2026-05-04T04:25:03Z
+function isDateTime(value) {
+    return /^\d{4}-\d{2}-\d{2}[Tt]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(value) &&
+        !Number.isNaN(Date.parse(value));
+}
+
+module.exports = { validateSboms, validateSbomFile, loadSchemas, isFormatAvailable };
+
+if (require.main === module) {
+    try {
+        validateSboms();
+    } catch (error) {
+        console.error(`ERROR: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
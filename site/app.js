@@ -7,9 +7,25 @@ let sortOrder = 'desc'; // 'asc' or 'desc'
 let productPackages = new Map(); // Map of product name -> Set of package names
 let packageToProducts = new Map(); // Map of package name -> Set of product names
 let packageDetails = new Map(); // Map of package name -> Map of (product name -> version info)
+let packageComponents = new Map(); // Map of package name -> [{ productName, version, productVersions, licenses, purls }]
 let packagesLoaded = false;
+let licenseSummaries = {}; // product slug -> version -> entry of sboms/license-summary.json
+let expandedLicenseSummaries = new Set(); // "slug/version" keys listing every license
+let vulnerabilitySummaries = {}; // product slug -> version -> entry of sboms/vulnerability-summary.json
+let vexStatements = new Map(); // "slug/version" -> VEX statements (parseVexStatements), null while loading or if unreadable
+let expandedVexSummaries = new Set(); // "slug/version" keys listing every VEX statement
+let provenanceRecords = new Map(); // "slug/version" -> parsed version.json, null while loading, false if unreadable
+let expandedProvenance = new Set(); // "slug/version" keys with the "How was this generated?" panel open
 let searchSuggestions = []; // All possible search suggestions
 let activeSuggestionIndex = -1; // For keyboard navigation
+let visibleSuggestions = []; // Suggestions currently listed in the dropdown
+let catalogVersionMatches = null; // Map of product name -> Set of versions matched by field terms (catalog-query.js)
+let packageResults = []; // Packages listed in the package results panel (findPackageMatches)
+let expandedPackageResults = new Set(); // Package names showing all their rows
+let packageResultsCollapsed = false;
+let compareSelections = new Map(); // Map of product name -> { from, to } versions picked for diffing
+let openModalState = null; // { type: 'sbom' | 'tree' | 'diff', slug, version, ... } mirrored into the URL
+let restoringUrlState = false; // Suppresses URL writes while state is being restored from the URL
 
 // Language and platform logo mapping (using transparent SVGs from CDNs)
 const languageLogos = {
@@ -88,6 +104,55 @@ function getSourceDisplayName(source) {
     }
 }
 
+// Split a purl into type, namespace, name and version (qualifiers are dropped)
+function parsePurl(purl) {
+    const match = /^pkg:([^/]+)\/([^@?#]+)(?:@([^?#]+))?/.exec(purl || '');
+    if (!match) return null;
+
+    const segments = match[2].split('/').map(decodeURIComponent);
+    return {
+        type: match[1].toLowerCase(),
+        namespace: segments.slice(0, -1).join('/'),
+        name: segments[segments.length - 1],
+        version: match[3] ? decodeURIComponent(match[3]) : ''
+    };
+}
+
+// Registry pages for a package, derived from its purl type
+function getRegistryLinks(purl) {
+    const parsed = parsePurl(purl);
+    if (!parsed) return [];
+
+    const { type, namespace, name, version } = parsed;
+    const fullName = namespace ? `${namespace}/${name}` : name;
+    const v = encodeURIComponent(version);
+
+    switch (type) {
+        case 'npm':
+            return [{ label: 'npm', url: `https://www.npmjs.com/package/${fullName}${version ? `/v/${v}` : ''}` }];
+        case 'pypi':
+            return [{ label: 'PyPI', url: `https://pypi.org/project/${encodeURIComponent(name)}/${version ? `${v}/` : ''}` }];
+        case 'maven':
+            if (!namespace) return [];
+            return [
+                { label: 'Maven Central', url: `https://central.sonatype.com/artifact/${namespace}/${name}${version ? `/${v}` : ''}` },
+                { label: 'MVN Repository', url: `https://mvnrepository.com/artifact/${namespace}/${name}${version ? `/${v}` : ''}` }
+            ];
+        case 'nuget':
+            return [{ label: 'NuGet', url: `https://www.nuget.org/packages/${encodeURIComponent(name)}${version ? `/${v}` : ''}` }];
+        case 'golang':
+            return [{ label: 'pkg.go.dev', url: `https://pkg.go.dev/${fullName}${version ? `@${v}` : ''}` }];
+        case 'gem':
+            return [{ label: 'RubyGems', url: `https://rubygems.org/gems/${encodeURIComponent(name)}${version ? `/versions/${v}` : ''}` }];
+        case 'cargo':
+            return [{ label: 'crates.io', url: `https://crates.io/crates/${encodeURIComponent(name)}${version ? `/${v}` : ''}` }];
+        case 'github':
+            return [{ label: 'GitHub', url: `https://github.com/${fullName}` }];
+        default:
+            return [];
+    }
+}
+
 // Format download count with K/M suffix for readability
 function formatDownloadCount(count) {
     if (count === 0 || count === undefined || count === null) {
@@ -104,10 +169,16 @@ function formatDownloadCount(count) {
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', async () => {
+    setupOfflineSupport();
     await loadProducts();
     setupEventListeners();
+    // Restore search, sort, expanded cards and modals from a shared link
+    applyUrlState();
+    window.addEventListener('popstate', applyUrlState);
     // Load package data in the background for search functionality
     loadPackageData();
+    loadLicenseData();
+    loadVulnerabilityData();
 });
 
 // Load products from index.json
@@ -133,77 +204,72 @@ async function loadProducts() {
     }
 }
 
-// Load package data from CycloneDX SBOMs for advanced search
+// Load the license policy and the per-version license summary, then redraw
+// the cards (and an open tree) with licenses classified
+async function loadLicenseData() {
+    const [, summary] = await Promise.all([
+        loadLicensePolicy(),
+        fetch('sboms/license-summary.json')
+            .then(response => response.ok ? response.json() : null)
+            .catch(() => null)
+    ]);
+
+    licenseSummaries = (summary && summary.products) || {};
+    renderProducts();
+    if (treeData) {
+        renderTreeRows();
+    }
+}
+
+// Severity counts from the offline OSV overlay (scripts/build-vulnerabilities.js);
+// the file only exists once an OSV snapshot was available at build time
+async function loadVulnerabilityData() {
+    try {
+        const response = await fetch('sboms/vulnerability-summary.json');
+        if (!response.ok) return;
+        const summary = await response.json();
+        vulnerabilitySummaries = summary.products || {};
+        renderProducts();
+    } catch (error) {
+        console.warn('Vulnerability summary not loaded:', error.message);
+    }
+}
+
+function getVulnerabilitySummary(product, version) {
+    return version ? (vulnerabilitySummaries[product.slug] || {})[version.version] || null : null;
+}
+
+// Load the build-time package index (sboms/package-index.json) for search.
+// It covers every published version, so no SBOMs are fetched here; the
+// download and indexing run in sbom-worker.js.
 async function loadPackageData() {
     console.log('Loading package data for search...');
 
     // Show loading badge
     const loadingBadge = document.getElementById('search-loading-badge');
+    const loadingText = document.getElementById('search-loading-text');
     if (loadingBadge) {
         loadingBadge.style.display = 'flex';
     }
 
     try {
-        const promises = allProducts.map(async (product) => {
-            const packages = new Set();
-
-            // Load multiple versions (up to first 5) to get better coverage
-            const versionsToLoad = product.versions.slice(0, 5).filter(v => v.formats.includes('cyclonedx'));
-
-            const versionPromises = versionsToLoad.map(async (version) => {
-                const sbomUrl = `sboms/${product.slug}/${version.version}/sbom.cyclonedx.json`;
-
-                try {
-                    const response = await fetch(sbomUrl);
-                    if (!response.ok) return;
-
-                    const sbom = await response.json();
-                    const components = sbom.components || [];
-
-                    // Extract package names
-                    components.forEach(comp => {
-                        if (comp.name) {
-                            const pkgName = comp.name.toLowerCase();
-                            packages.add(pkgName);
-
-                            // Build reverse mapping: package -> products
-                            if (!packageToProducts.has(pkgName)) {
-                                packageToProducts.set(pkgName, new Set());
-                            }
-                            packageToProducts.get(pkgName).add(product.name);
-
-                            // Build detailed mapping: package -> product -> list of versions
-                            if (!packageDetails.has(pkgName)) {
-                                packageDetails.set(pkgName, new Map());
-                            }
-                            if (!packageDetails.get(pkgName).has(product.name)) {
-                                packageDetails.get(pkgName).set(product.name, []);
-                            }
-                            const versions = packageDetails.get(pkgName).get(product.name);
-                            if (!versions.includes(version.version)) {
-                                versions.push(version.version);
-                            }
-                        }
-                    });
-                } catch (err) {
-                    console.warn(`Failed to load packages for ${product.name} ${version.version}:`, err);
-                }
-            });
-
-            await Promise.all(versionPromises);
-            productPackages.set(product.name, packages);
+        const index = await runSbomWorkerTask({
+            task: 'package-index',
+            url: 'sboms/package-index.json',
+            products: allProducts.map(p => ({ name: p.name, slug: p.slug }))
+        }, (progress) => {
+            if (loadingText) {
+                loadingText.textContent = formatWorkerProgress('Loading packages', 'Indexing packages', progress);
+            }
         });
 
-        await Promise.all(promises);
+        productPackages = index.productPackages;
+        packageToProducts = index.packageToProducts;
+        packageDetails = index.packageDetails;
+        packageComponents = index.packageComponents;
         packagesLoaded = true;
 
-        // Calculate total packages found
-        let totalPackages = 0;
-        packageDetails.forEach(productMap => {
-            totalPackages++;
-        });
-
-        console.log(`Package data loaded: ${productPackages.size} products, ${totalPackages} unique packages`);
+        console.log(`Package data loaded: ${productPackages.size} products, ${packageDetails.size} unique packages`);
 
         // Rebuild search suggestions with package data
         buildSearchSuggestions();
@@ -233,10 +299,214 @@ async function loadPackageData() {
     }
 }
 
-// Animate stats counters
+// SBOM Worker - one shared worker, requests matched to replies by id
+let sbomWorker = null;
+let sbomWorkerRequests = new Map();
+let nextSbomWorkerRequestId = 1;
+
+// Run a task in sbom-worker.js; onProgress receives its { stage, loaded, total } updates
+function runSbomWorkerTask(message, onProgress) {
+    if (!sbomWorker) {
+        sbomWorker = new Worker('sbom-worker.js?v=6');
+        sbomWorker.addEventListener('message', (e) => {
+            const request = sbomWorkerRequests.get(e.data.id);
+            if (!request) return;
+
+            if (e.data.progress) {
+                if (request.onProgress) request.onProgress(e.data.progress);
+                return;
+            }
+
+            sbomWorkerRequests.delete(e.data.id);
+            if (e.data.error) {
+                request.reject(new Error(e.data.error));
+            } else {
+                request.resolve(e.data.result);
+            }
+        });
+        // A worker that failed to load (missing file, stale offline cache,
+        // syntax error) or sent a reply that can't be cloned never answers;
+        // fail every pending task so spinners stop, and start afresh next time
+        sbomWorker.addEventListener('error', (e) => {
+            e.preventDefault();
+            failSbomWorker(`SBOM worker failed: ${e.message || 'could not load sbom-worker.js'}`);
+        });
+        sbomWorker.addEventListener('messageerror', () => {
+            failSbomWorker('SBOM worker sent a reply that could not be read');
+        });
+    }
+
+    const id = nextSbomWorkerRequestId++;
+    return new Promise((resolve, reject) => {
+        sbomWorkerRequests.set(id, { resolve, reject, onProgress });
+        sbomWorker.postMessage({ ...message, id: id });
+    });
+}
+
+// Reject every pending worker task and drop the worker
+function failSbomWorker(message) {
+    const worker = sbomWorker;
+    const requests = [...sbomWorkerRequests.values()];
+    sbomWorker = null;
+    sbomWorkerRequests.clear();
+    if (worker) worker.terminate();
+    requests.forEach(request => request.reject(new Error(message)));
+}
+
+// "Loading packages... 40%" while downloading (or the size so far without a
+// Content-Length), then the parse label once the file is in
+function formatWorkerProgress(loadingLabel, parsingLabel, progress) {
+    if (progress.stage === 'parse') {
+        return `${parsingLabel}...`;
+    }
+    if (progress.total > 0) {
+        return `${loadingLabel}... ${Math.floor(progress.loaded / progress.total * 100)}%`;
+    }
+    return `${loadingLabel}... ${(progress.loaded / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Offline support - service-worker.js precaches the site and caches SBOM files
+// as they are viewed; the page reads that cache to mark products available offline
+const OFFLINE_SBOM_CACHE = 'sbom-files-v1'; // Must match SBOM_CACHE in service-worker.js
+let offlineSbomUrls = new Set(); // Absolute URLs of cached SBOM files and the files next to them
+let offlineSaveProgress = new Map(); // Product name -> { done, total } while saving for offline use
+
+function setupOfflineSupport() {
+    updateOfflineBanner();
+    window.addEventListener('online', updateOfflineBanner);
+    window.addEventListener('offline', updateOfflineBanner);
+
+    if (!('serviceWorker' in navigator) || !window.caches) return;
+
+    navigator.serviceWorker.register('service-worker.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'sbom-cached') {
+            offlineSbomUrls.add(e.data.url);
+            if (allProducts.length > 0) renderProducts();
+        }
+    });
+
+    caches.open(OFFLINE_SBOM_CACHE)
+        .then(cache => cache.keys())
+        .then(requests => {
+            requests.forEach(request => offlineSbomUrls.add(request.url));
+            if (allProducts.length > 0) renderProducts();
+        })
+        .catch(error => console.warn('Could not read the offline cache:', error));
+}
+
+function updateOfflineBanner() {
+    const banner = document.getElementById('offline-banner');
+    if (banner) {
+        banner.style.display = navigator.onLine ? 'none' : 'flex';
+    }
+}
+
+const SBOM_FORMAT_LABELS = { spdx: 'SPDX', cyclonedx: 'CycloneDX' };
+
+// Formats of a version with a usable SBOM. build-site.js validates each file
+// and records "failed" for syft's error stubs and schema violations.
+function getAvailableFormats(version) {
+    const validation = version.validation || {};
+    return version.formats.filter(format => !validation[format] || validation[format].status !== 'failed');
+}
+
+// The validation entry of a format that failed, or null
+function getFormatFailure(version, format) {
+    const result = version.validation && version.validation[format];
+    return result && result.status === 'failed' ? result : null;
+}
+
+// Absolute URLs of the files a product version needs offline: its SBOMs, plus
+// the vulnerability findings, VEX statements and provenance record when the
+// index (or the vulnerability summary) says the version has them
+function getVersionOfflineUrls(product, version) {
+    const files = getAvailableFormats(version).map(format => `sbom.${format}.json`);
+    if (getVulnerabilitySummary(product, version)) files.push('vulnerabilities.json');
+    if (version.vex) files.push('vex.cyclonedx.json');
+    if (version.provenance) files.push('version.json');
+    return files.map(file => new URL(`sboms/${product.slug}/${version.version}/${file}`, location.href).href);
+}
+
+// How many of a product's versions have all their files cached
+function getOfflineStatus(product) {
+    const cached = product.versions.filter(version =>
+        getVersionOfflineUrls(product, version).every(url => offlineSbomUrls.has(url))).length;
+    return { cached: cached, total: product.versions.length };
+}
+
+function renderOfflineBadge(product) {
+    if (!window.caches || product.versions.length === 0) return '';
+
+    const saving = offlineSaveProgress.get(product.name);
+    if (saving) {
+        return `
+            <span class="meta-badge offline-badge saving">
+                <span class="loading-spinner-small"></span>
+                Saving ${saving.done}/${saving.total}
+            </span>
+        `;
+    }
+
+    const { cached, total } = getOfflineStatus(product);
+    if (cached === total) {
+        return `
+            <span class="meta-badge offline-badge available" title="Every version's SBOMs, vulnerability findings, VEX statements and provenance records are saved in this browser">
+                ✓ Available offline
+            </span>
+        `;
+    }
+
+    return `
+        <span class="meta-badge meta-badge-clickable offline-badge"
+              onclick="saveProductForOffline('${escapeHtml(product.name)}')"
+              title="Save every version's SBOMs and the files next to them in this browser${cached > 0 ? ` (${cached} of ${total} versions saved)` : ''}">
+            💾 Save offline${cached > 0 ? ` (${cached}/${total})` : ''}
+        </span>
+    `;
+}
+
+// Fetch every file the product's versions need offline into the cache
+async function saveProductForOffline(productName) {
+    const product = allProducts.find(p => p.name === productName);
+    if (!product || offlineSaveProgress.has(productName)) return;
+
+    const urls = product.versions
+        .flatMap(version => getVersionOfflineUrls(product, version))
+        .filter(url => !offlineSbomUrls.has(url));
+    const progress = { done: 0, total: urls.length };
+    offlineSaveProgress.set(productName, progress);
+    renderProducts();
+
+    try {
+        const cache = await caches.open(OFFLINE_SBOM_CACHE);
+        for (const url of urls) {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to download ${url}`);
+            }
+            await cache.put(url, response);
+            offlineSbomUrls.add(url);
+            progress.done++;
+            renderProducts();
+        }
+        showToast(`✓ ${productName} is available offline`);
+    } catch (error) {
+        console.error('Error saving product for offline use:', error);
+        showToast(`✗ Could not save ${productName} for offline use`);
+    } finally {
+        offlineSaveProgress.delete(productName);
+        renderProducts();
+    }
+}
+
+// Animate stats counters. Versions whose every SBOM failed to generate are not counted.
 function animateStats(data) {
     const productCount = data.products.length;
-    const versionCount = data.products.reduce((sum, p) => sum + p.versions.length, 0);
+    const versionCount = data.products.reduce((sum, p) =>
+        sum + p.versions.filter(v => getAvailableFormats(v).length > 0).length, 0);
 
     // Animate numbers
     animateCounter('stat-products', 0, productCount, 1000);
@@ -325,10 +595,14 @@ function setupEventListeners() {
             // Close whichever modal is open
             const sbomModal = document.getElementById('sbom-modal');
             const treeModal = document.getElementById('tree-modal');
+            const diffModal = document.getElementById('diff-modal');
 
             if (sbomModal && sbomModal.style.display === 'flex') {
                 closeModal();
             }
+            if (diffModal && diffModal.style.display === 'flex') {
+                closeDiffModal();
+            }
             if (treeModal && treeModal.style.display === 'flex') {
                 closeTreeModal();
             }
@@ -336,6 +610,172 @@ function setupEventListeners() {
     });
 }
 
+// Build the URL hash describing the current view. Defaults are omitted so
+// an untouched page keeps a clean URL.
+function buildUrlHash() {
+    const params = new URLSearchParams();
+
+    const query = document.getElementById('search-input').value.trim();
+    if (query) params.set('q', query);
+
+    const sortBy = document.getElementById('sort-select').value;
+    if (sortBy !== 'name') params.set('sort', sortBy);
+    if (sortOrder !== 'desc') params.set('order', sortOrder);
+    if (currentView !== 'grid') params.set('view', currentView);
+
+    const expandedSlugs = allProducts
+        .filter(p => expandedProducts.has(p.name))
+        .map(p => p.slug);
+    if (expandedSlugs.length > 0) params.set('expanded', expandedSlugs.join(','));
+
+    if (openModalState) {
+        const target = `${openModalState.slug}/${openModalState.version}`;
+        if (openModalState.type === 'sbom') {
+            params.set('sbom', target);
+            if (openModalState.format && openModalState.format !== 'spdx') params.set('format', openModalState.format);
+        } else if (openModalState.type === 'tree') {
+            params.set('tree', target);
+            if (openModalState.focus) params.set('node', `${openModalState.focus.name}@${openModalState.focus.version}`);
+            const treeQuery = document.getElementById('tree-search-input').value.trim();
+            if (treeQuery) params.set('tq', treeQuery);
+            if (treeViewMode === 'graph') params.set('tview', 'graph');
+        } else if (openModalState.type === 'diff') {
+            params.set('diff', `${openModalState.slug}/${openModalState.from}..${openModalState.to}`);
+        }
+    }
+
+    // Keep slashes and commas readable; URLSearchParams decodes them either way
+    const hash = params.toString().replace(/%2F/gi, '/').replace(/%2C/gi, ',');
+    return hash ? `#${hash}` : '';
+}
+
+// Write the current view into the URL. Discrete navigation (expanding a
+// card, opening a modal) pushes a history entry so back/forward step through
+// it; typing and sorting replace the current entry.
+function updateUrlState(push = false) {
+    if (restoringUrlState) return;
+
+    const hash = buildUrlHash();
+    if (hash === window.location.hash) return;
+
+    const url = hash || window.location.pathname + window.location.search;
+    if (push) {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+}
+
+// Split "slug/version" from a URL parameter into its parts
+function parseProductVersionParam(value) {
+    if (!value) return null;
+    const slashIndex = value.indexOf('/');
+    if (slashIndex === -1) return null;
+
+    const product = allProducts.find(p => p.slug === value.substring(0, slashIndex));
+    if (!product) return null;
+
+    return { product: product, version: value.substring(slashIndex + 1) };
+}
+
+// Split "name@version" from the node URL parameter; the name may start with @
+function parseTreeFocusParam(value) {
+    if (!value) return null;
+    const atIndex = value.lastIndexOf('@');
+    if (atIndex <= 0) return null;
+    return { name: value.substring(0, atIndex).toLowerCase(), version: value.substring(atIndex + 1) };
+}
+
+function isSameTreeFocus(a, b) {
+    return Boolean(a && b && a.name === b.name && a.version === b.version);
+}
+
+// Restore the view from the URL hash (initial load and back/forward)
+async function applyUrlState() {
+    const params = new URLSearchParams(window.location.hash.substring(1));
+    restoringUrlState = true;
+
+    try {
+        const searchInput = document.getElementById('search-input');
+        searchInput.value = params.get('q') || '';
+        document.getElementById('search-clear-btn').style.display = searchInput.value ? 'flex' : 'none';
+        hideSuggestions();
+
+        const sortSelect = document.getElementById('sort-select');
+        const sortBy = params.get('sort');
+        sortSelect.value = ['name', 'date', 'versions'].includes(sortBy) ? sortBy : 'name';
+        sortOrder = params.get('order') === 'asc' ? 'asc' : 'desc';
+        document.getElementById('sort-order-toggle').classList.toggle('descending', sortOrder === 'desc');
+
+        setView(params.get('view') === 'list' ? 'list' : 'grid');
+
+        const expandedSlugs = (params.get('expanded') || '').split(',').filter(Boolean);
+        expandedProducts = new Set(
+            allProducts.filter(p => expandedSlugs.includes(p.slug)).map(p => p.name)
+        );
+
+        applyFilters();
+
+        await restoreModalFromUrl(params);
+    } finally {
+        restoringUrlState = false;
+    }
+}
+
+// Open or close modals so they match the URL parameters
+async function restoreModalFromUrl(params) {
+    const sbomTarget = parseProductVersionParam(params.get('sbom'));
+    const treeTarget = parseProductVersionParam(params.get('tree'));
+    const diffTarget = parseProductVersionParam(params.get('diff'));
+
+    const isOpen = (type, target) => openModalState && openModalState.type === type &&
+        openModalState.slug === target.product.slug && openModalState.version === target.version;
+
+    const sbomFormat = params.get('format') || 'spdx';
+    const isSbomOpen = sbomTarget && isOpen('sbom', sbomTarget) && openModalState.format === sbomFormat;
+
+    if (openModalState && openModalState.type === 'sbom' && !isSbomOpen) {
+        closeModal();
+    }
+    if (openModalState && openModalState.type === 'diff' && !(diffTarget && isOpen('diff', diffTarget))) {
+        closeDiffModal();
+    }
+    if (openModalState && openModalState.type === 'tree' && !(treeTarget && isOpen('tree', treeTarget))) {
+        closeTreeModal();
+    }
+
+    if (sbomTarget && !isSbomOpen) {
+        const { product, version } = sbomTarget;
+        viewSBOM(`sboms/${product.slug}/${version}/sbom.${sbomFormat}.json`, `${product.name} ${version}`);
+    } else if (diffTarget && !isOpen('diff', diffTarget)) {
+        const [from, to] = diffTarget.version.split('..');
+        if (from && to) {
+            compareSelections.set(diffTarget.product.name, { from: from, to: to });
+            renderProducts();
+            openVersionDiff(diffTarget.product.name);
+        }
+    } else if (treeTarget) {
+        const { product, version } = treeTarget;
+        const focus = parseTreeFocusParam(params.get('node'));
+        if (!isOpen('tree', treeTarget)) {
+            const entry = product.versions.find(v => v.version === version);
+            const format = entry && !getAvailableFormats(entry).includes('cyclonedx') ? 'spdx' : 'cyclonedx';
+            await viewDependencyTree(`sboms/${product.slug}/${version}/sbom.${format}.json`, product.name, version, product.source, focus);
+        } else if (focus && !isSameTreeFocus(focus, openModalState.focus)) {
+            openModalState.focus = focus;
+            focusTreePackage(focus);
+        }
+        const treeQuery = params.get('tq') || '';
+        if (treeQuery !== document.getElementById('tree-search-input').value) {
+            setTreeSearch(treeQuery);
+        }
+        const treeView = params.get('tview') === 'graph' ? 'graph' : 'list';
+        if (treeData && treeView !== treeViewMode) {
+            setTreeViewMode(treeView);
+        }
+    }
+}
+
 // Debounce function
 function debounce(func, wait) {
     let timeout;
@@ -394,9 +834,9 @@ function buildSearchSuggestions() {
 
     // Add package names with product and version context
     if (packagesLoaded) {
+        // The build-time index is complete and compact, so every package is suggestable
         const packages = Array.from(packageToProducts.entries())
-            .sort((a, b) => b[1].size - a[1].size) // Sort by number of products (most common first)
-            .slice(0, 500); // Limit to top 500 packages
+            .sort((a, b) => b[1].size - a[1].size); // Sort by number of products (most common first)
 
         packages.forEach(([pkg, productSet]) => {
             const productList = Array.from(productSet);
@@ -456,7 +896,7 @@ function handleSearchInput(event) {
     }
 
     if (query.length > 0) {
-        showSuggestions(query);
+        showSuggestions(event.target.value);
     } else {
         hideSuggestions();
     }
@@ -477,17 +917,26 @@ function clearSearch() {
     searchInput.focus();
 }
 
-// Show search suggestions
-function showSuggestions(query) {
+// Show search suggestions. Field queries (pkg:, license:, ...) are completed by
+// catalog-query.js; plain words get product, version and package suggestions.
+function showSuggestions(value) {
     if (searchSuggestions.length === 0) {
         buildSearchSuggestions();
     }
 
-    const suggestionsBox = document.getElementById('search-suggestions');
+    const query = value.trim();
     const lowerQuery = query.toLowerCase();
+    const catalogSuggestions = suggestCatalogQuery(value, getSearchCatalog());
+
+    if (catalogSuggestions && catalogSuggestions.length > 0 && catalogSuggestions[0].type !== 'Field') {
+        // Highlight the part of the value typed so far
+        const typed = value.slice(value.lastIndexOf(':') + 1).replace(/^"|^(>=|<=|!=|>|<|=)/, '');
+        renderSuggestions(catalogSuggestions.slice(0, 10), typed);
+        return;
+    }
 
     // Filter and rank suggestions
-    const matches = searchSuggestions
+    const matches = catalogSuggestions && catalogSuggestions.length === 0 ? [] : searchSuggestions
         .filter(s => s.text.toLowerCase().includes(lowerQuery))
         .sort((a, b) => {
             // Prioritize starts-with matches
@@ -501,18 +950,26 @@ function showSuggestions(query) {
         })
         .slice(0, 10); // Limit to 10 suggestions
 
+    // Field names the word could be the start of go first
+    renderSuggestions((catalogSuggestions || []).concat(matches).slice(0, 10), query);
+}
+
+function renderSuggestions(matches, query) {
+    const suggestionsBox = document.getElementById('search-suggestions');
+
     if (matches.length === 0) {
         hideSuggestions();
         return;
     }
 
     // Render suggestions
+    visibleSuggestions = matches;
     suggestionsBox.innerHTML = matches.map((suggestion, index) => {
-        const highlightedText = highlightMatch(suggestion.text, query);
+        const highlightedText = query ? highlightMatch(suggestion.text, query) : escapeHtml(suggestion.text);
         return `
             <div class="search-suggestion-item ${index === 0 ? 'active' : ''}"
                  data-index="${index}"
-                 onclick="selectSuggestion('${escapeHtml(suggestion.text)}')">
+                 onclick="selectSuggestion(${index})">
                 <span class="suggestion-icon">${suggestion.icon}</span>
                 <div class="suggestion-content">
                     <div class="suggestion-text">${highlightedText}</div>
@@ -566,8 +1023,7 @@ function handleSearchKeydown(event) {
     } else if (event.key === 'Enter') {
         event.preventDefault();
         if (activeSuggestionIndex >= 0 && items[activeSuggestionIndex]) {
-            const text = items[activeSuggestionIndex].querySelector('.suggestion-text').textContent;
-            selectSuggestion(text);
+            selectSuggestion(activeSuggestionIndex);
         }
     } else if (event.key === 'Escape') {
         hideSuggestions();
@@ -586,12 +1042,21 @@ function updateActiveSuggestion(items) {
     });
 }
 
-// Select a suggestion
-function selectSuggestion(text) {
+// Select a suggestion by its position in the dropdown. Field suggestions carry
+// the whole query to put in the box and keep the dropdown open for the next part.
+function selectSuggestion(index) {
+    const suggestion = visibleSuggestions[index];
+    if (!suggestion) return;
+
     const searchInput = document.getElementById('search-input');
-    searchInput.value = text;
+    searchInput.value = suggestion.query || suggestion.text;
+    searchInput.focus();
     hideSuggestions();
     applyFilters();
+
+    if (suggestion.query) {
+        showSuggestions(searchInput.value);
+    }
 }
 
 // Handle search
@@ -612,8 +1077,8 @@ function handleSort(event) {
             break;
         case 'date':
             filteredProducts.sort((a, b) => {
-                const dateA = a.versions[0]?.generatedAt || '0000-00-00';
-                const dateB = b.versions[0]?.generatedAt || '0000-00-00';
+                const dateA = getLatestReleaseDate(a);
+                const dateB = getLatestReleaseDate(b);
                 const result = dateB.localeCompare(dateA);
                 return sortOrder === 'desc' ? result : -result;
             });
@@ -627,6 +1092,20 @@ function handleSort(event) {
     }
 
     renderProducts();
+    updateUrlState();
+}
+
+// Release date of a version (YYYY-MM-DD), falling back to when its SBOM was generated
+function getVersionDate(version) {
+    return version.releaseDate || version.generatedAt || '';
+}
+
+// Most recent release of a product, for sorting; patch releases can come out
+// after a higher version, so this is not always versions[0]
+function getLatestReleaseDate(product) {
+    return product.versions
+        .map(v => getVersionDate(v).slice(0, 10))
+        .reduce((latest, date) => date > latest ? date : latest, '0000-00-00');
 }
 
 // Toggle sort order
@@ -643,8 +1122,13 @@ function toggleSortOrder() {
 // Toggle view (grid/list)
 let currentView = 'grid';
 function toggleView() {
+    setView(currentView === 'grid' ? 'list' : 'grid');
+    updateUrlState();
+}
+
+function setView(view) {
     const grid = document.getElementById('product-grid');
-    currentView = currentView === 'grid' ? 'list' : 'grid';
+    currentView = view;
 
     if (currentView === 'list') {
         grid.style.gridTemplateColumns = '1fr';
@@ -654,43 +1138,197 @@ function toggleView() {
 }
 
 // Toggle date filter panel
-// Apply search filter
+// Apply search filter. Field terms (see catalog-query.js) must all hold;
+// any remaining words are matched as a substring like before.
 function applyFilters() {
-    const searchQuery = document.getElementById('search-input').value.toLowerCase().trim();
+    const query = parseCatalogQuery(document.getElementById('search-input').value);
+    const matches = findCatalogMatches(query, getSearchCatalog());
+    catalogVersionMatches = matches && hasCatalogVersionTerms(query) ? matches : null;
 
     filteredProducts = allProducts.filter(product => {
-        // Apply search filter
-        if (searchQuery) {
-            // Search in product name
-            if (product.name.toLowerCase().includes(searchQuery)) {
-                return true;
-            }
-
-            // Search in version numbers
-            if (product.versions.some(v => v.version.toLowerCase().includes(searchQuery))) {
-                return true;
-            }
-
-            // Search in dependency packages (if loaded)
-            if (packagesLoaded && productPackages.has(product.name)) {
-                const packages = productPackages.get(product.name);
-                for (const packageName of packages) {
-                    if (packageName.includes(searchQuery)) {
-                        return true;
-                    }
-                }
-            }
-
+        if (matches && !matches.has(product.name)) {
             return false;
         }
-        return true;
+        return !query.text || productMatchesSearchText(product, query.text);
     });
 
+    renderPackageResults(query);
+
     // Re-apply current sort
     const sortSelect = document.getElementById('sort-select');
     handleSort({ target: sortSelect });
 }
 
+// Substring search over product name, versions and dependency packages
+function productMatchesSearchText(product, searchQuery) {
+    // Search in product name
+    if (product.name.toLowerCase().includes(searchQuery)) {
+        return true;
+    }
+
+    // Search in version numbers
+    if (product.versions.some(v => v.version.toLowerCase().includes(searchQuery))) {
+        return true;
+    }
+
+    // Search in dependency packages by name or purl (if loaded)
+    if (packagesLoaded && productPackages.has(product.name)) {
+        const packages = productPackages.get(product.name);
+        for (const packageName of packages) {
+            if (packageName.includes(searchQuery)) {
+                return true;
+            }
+            // Only this product's components, not same-named packages elsewhere
+            const components = packageComponents.get(packageName) || [];
+            if (components.some(c => c.productName === product.name &&
+                c.purls.some(purl => purl.toLowerCase().includes(searchQuery)))) {
+                return true;
+            }
+        }
+    }
+
+    return false;
+}
+
+const PACKAGE_RESULTS_LIMIT = 25; // Packages listed before asking for a narrower search
+const PACKAGE_RESULT_ROWS = 8; // Rows per package until "Show all"
+
+// List every package the search matched with the product versions shipping it,
+// so "are we shipping X?" is answered per version rather than per product card
+function renderPackageResults(query) {
+    const container = document.getElementById('package-results');
+    const shownProducts = new Set(filteredProducts.map(p => p.name));
+
+    packageResults = packagesLoaded
+        ? findPackageMatches(query, getSearchCatalog())
+            .map(pkg => ({ ...pkg, rows: pkg.rows.filter(row => shownProducts.has(row.productName)) }))
+            .filter(pkg => pkg.rows.length > 0)
+        : [];
+
+    if (packageResults.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    const shown = packageResults.slice(0, PACKAGE_RESULTS_LIMIT);
+    const productVersionCount = new Set(packageResults.flatMap(pkg =>
+        pkg.rows.map(row => `${row.productName}\n${row.productVersion}`))).size;
+
+    container.innerHTML = `
+        <div class="package-results-header">
+            <span class="package-results-title">📘 ${packageResults.length} matching package${packageResults.length !== 1 ? 's' : ''}</span>
+            <span class="package-results-summary">in ${productVersionCount} product version${productVersionCount !== 1 ? 's' : ''}</span>
+            <span class="versions-toggle" onclick="togglePackageResults()">${packageResultsCollapsed ? 'Show' : 'Hide'}</span>
+        </div>
+        ${packageResultsCollapsed ? '' : `
+            <div class="package-results-list">
+                ${shown.map((pkg, index) => renderPackageResult(pkg, index)).join('')}
+            </div>
+            ${packageResults.length > shown.length ? `
+                <div class="package-results-more">
+                    Showing the first ${shown.length} packages. Refine the search to see the rest.
+                </div>
+            ` : ''}
+        `}
+    `;
+    container.style.display = 'block';
+}
+
+function renderPackageResult(pkg, index) {
+    const isExpanded = expandedPackageResults.has(pkg.pkgName);
+    const rows = isExpanded ? pkg.rows : pkg.rows.slice(0, PACKAGE_RESULT_ROWS);
+
+    return `
+        <div class="package-result">
+            <div class="package-result-header">
+                <span class="package-result-name">${escapeHtml(pkg.pkgName)}</span>
+                ${pkg.purls[0] ? `<code class="package-result-purl">${escapeHtml(pkg.purls[0])}</code>` : ''}
+                <span class="package-result-count">${pkg.rows.length} product version${pkg.rows.length !== 1 ? 's' : ''}</span>
+            </div>
+            <table class="package-result-table">
+                <thead>
+                    <tr><th>Product</th><th>Version</th><th>Package version</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map((row, rowIndex) => `
+                        <tr>
+                            <td>${escapeHtml(row.productName)}</td>
+                            <td>${escapeHtml(row.productVersion)}</td>
+                            <td><code>${escapeHtml(row.packageVersion)}</code></td>
+                            <td>
+                                <a class="package-result-link"
+                                   href="${escapeHtml(getPackageResultHref(pkg, row)).replace(/"/g, '&quot;')}"
+                                   onclick="openPackageResult(event, ${index}, ${rowIndex})"
+                                   title="Open the dependency tree at ${escapeHtml(pkg.pkgName)}@${escapeHtml(row.packageVersion)}">
+                                    🌳 View in tree
+                                </a>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${pkg.rows.length > PACKAGE_RESULT_ROWS ? `
+                <span class="versions-toggle" onclick="togglePackageResultRows(${index})">
+                    ${isExpanded ? 'Show fewer' : `Show all ${pkg.rows.length}`}
+                </span>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Link to the tree with the package focused, keeping the current search
+function getPackageResultHref(pkg, row) {
+    const product = allProducts.find(p => p.name === row.productName);
+    const params = new URLSearchParams();
+    const query = document.getElementById('search-input').value.trim();
+    if (query) params.set('q', query);
+    params.set('tree', `${product.slug}/${row.productVersion}`);
+    params.set('node', `${pkg.pkgName}@${row.packageVersion}`);
+    return `#${params.toString().replace(/%2F/gi, '/')}`;
+}
+
+// Plain clicks open the tree in place; modified clicks follow the link to a new tab
+function openPackageResult(event, index, rowIndex) {
+    if (event.ctrlKey || event.metaKey || event.shiftKey || event.button === 1) return;
+    event.preventDefault();
+
+    const pkg = packageResults[index];
+    const row = pkg && pkg.rows[rowIndex];
+    const product = row && allProducts.find(p => p.name === row.productName);
+    if (!product) return;
+
+    // The package index is built from CycloneDX SBOMs, so that format exists
+    viewDependencyTree(`sboms/${product.slug}/${row.productVersion}/sbom.cyclonedx.json`,
+        product.name, row.productVersion, product.source,
+        { name: pkg.pkgName, version: row.packageVersion });
+}
+
+function togglePackageResults() {
+    packageResultsCollapsed = !packageResultsCollapsed;
+    renderPackageResults(parseCatalogQuery(document.getElementById('search-input').value));
+}
+
+function togglePackageResultRows(index) {
+    const pkg = packageResults[index];
+    if (!pkg) return;
+
+    if (expandedPackageResults.has(pkg.pkgName)) {
+        expandedPackageResults.delete(pkg.pkgName);
+    } else {
+        expandedPackageResults.add(pkg.pkgName);
+    }
+    renderPackageResults(parseCatalogQuery(document.getElementById('search-input').value));
+}
+
+// What catalog-query.js searches: products plus the package index once loaded
+function getSearchCatalog() {
+    return {
+        products: allProducts,
+        packageComponents: packageComponents
+    };
+}
+
 // Render products
 function renderProducts() {
     const productGrid = document.getElementById('product-grid');
@@ -717,12 +1355,20 @@ function renderProductCard(product) {
     const logo = languageLogos[product.name];
     const downloadCount = formatDownloadCount(product.downloadCount);
 
-    // Show only the latest version by default, or all versions when expanded
-    const versionsToShow = isExpanded ? product.versions : [latestVersion];
+    // Show only the latest version by default, or all versions when expanded.
+    // A field query narrows the default to the versions it matched.
+    const matchedVersions = catalogVersionMatches && catalogVersionMatches.get(product.name);
+    // A product listed in products.yml may have no versions yet
+    const versionsToShow = isExpanded
+        ? product.versions
+        : matchedVersions ? product.versions.filter(v => matchedVersions.has(v.version)) : [latestVersion].filter(Boolean);
+    const versionsTitle = isExpanded
+        ? 'All Versions'
+        : matchedVersions ? `Matching Version${matchedVersions.size !== 1 ? 's' : ''}` : 'Current Version';
 
     // Construct SBOM URL for latest version
     const latestSpdxUrl = latestVersion ? `sboms/${product.slug}/${latestVersion.version}/sbom.spdx.json` : '';
-    const latestHasSpdx = latestVersion && latestVersion.formats.includes('spdx');
+    const latestHasSpdx = latestVersion && getAvailableFormats(latestVersion).includes('spdx');
 
     const repoUrl = getRepositoryUrl(product);
 
@@ -766,9 +1412,11 @@ function renderProductCard(product) {
                         </span>
                     ` : `
                         <span class="meta-badge">
-                            📦 1 version
+                            📦 ${product.versions.length === 1 ? '1 version' : 'No versions'}
                         </span>
                     `}
+                    ${renderOfflineBadge(product)}
+                    ${renderVulnerabilityMetaBadge(product, latestVersion)}
                     ${latestVersion && latestHasSpdx ? `
                         <span class="meta-badge meta-badge-clickable"
                               onclick="viewSBOM('${escapeHtml(latestSpdxUrl)}', '${escapeHtml(product.name)} ${escapeHtml(latestVersion.version)}')"
@@ -785,7 +1433,7 @@ function renderProductCard(product) {
 
             <div class="versions-section">
                 <div class="versions-header">
-                    <span class="versions-title">${isExpanded ? 'All Versions' : 'Current Version'}</span>
+                    <span class="versions-title">${versionsTitle}</span>
                     ${product.versions.length > 1 ? `
                         <span class="versions-toggle" onclick="toggleProductVersions('${escapeHtml(product.name)}')">
                             ${isExpanded ? 'Hide' : 'Show All'}
@@ -795,27 +1443,93 @@ function renderProductCard(product) {
 
                 <div class="version-list">
                     ${versionsToShow.map(version => renderVersionItem(product, version)).join('')}
+                    ${product.versions.length === 0 ? `
+                        <div class="version-empty">No SBOMs have been published for this product yet.</div>
+                    ` : ''}
                 </div>
+
+                ${renderCompareBar(product)}
             </div>
         </div>
     `;
 }
 
+// Render the version picker used to diff two CycloneDX SBOMs of a product
+function renderCompareBar(product) {
+    const comparable = product.versions.filter(v => getAvailableFormats(v).includes('cyclonedx'));
+    if (comparable.length < 2) {
+        return '';
+    }
+
+    const selection = getCompareSelection(product);
+    const productArg = escapeHtml(product.name);
+    const renderOptions = (selected) => comparable.map(v => `
+        <option value="${escapeHtml(v.version)}" ${v.version === selected ? 'selected' : ''}>${escapeHtml(v.version)}</option>
+    `).join('');
+
+    return `
+        <div class="compare-bar">
+            <span class="compare-label">Compare</span>
+            <select class="compare-select"
+                    aria-label="Base version"
+                    onchange="setCompareVersion('${productArg}', 'from', this.value)">
+                ${renderOptions(selection.from)}
+            </select>
+            <span class="compare-arrow">→</span>
+            <select class="compare-select"
+                    aria-label="Target version"
+                    onchange="setCompareVersion('${productArg}', 'to', this.value)">
+                ${renderOptions(selection.to)}
+            </select>
+            <button class="btn-format"
+                    onclick="openVersionDiff('${productArg}')"
+                    title="Show added, removed and changed packages between these versions">
+                Diff
+            </button>
+        </div>
+    `;
+}
+
+// Get the versions picked for diffing, defaulting to previous → latest
+function getCompareSelection(product) {
+    if (!compareSelections.has(product.name)) {
+        const comparable = product.versions.filter(v => getAvailableFormats(v).includes('cyclonedx'));
+        compareSelections.set(product.name, {
+            from: comparable[1].version,
+            to: comparable[0].version
+        });
+    }
+    return compareSelections.get(product.name);
+}
+
+function setCompareVersion(productName, side, version) {
+    const product = allProducts.find(p => p.name === productName);
+    if (!product) return;
+    getCompareSelection(product)[side] = version;
+}
+
 // Render version item
 function renderVersionItem(product, version) {
     // Construct SBOM URLs from slug, version, and format
     const spdxUrl = `sboms/${product.slug}/${version.version}/sbom.spdx.json`;
     const cyclonedxUrl = `sboms/${product.slug}/${version.version}/sbom.cyclonedx.json`;
+    const noticesUrl = `sboms/${product.slug}/${version.version}/THIRD_PARTY_NOTICES.html`;
+    const vexUrl = `sboms/${product.slug}/${version.version}/vex.cyclonedx.json`;
 
-    // Check which formats are available
-    const hasSpdx = version.formats.includes('spdx');
-    const hasCyclonedx = version.formats.includes('cyclonedx');
+    // Check which formats are available; failed ones are shown but not offered
+    const formats = getAvailableFormats(version);
+    const hasSpdx = formats.includes('spdx');
+    const hasCyclonedx = formats.includes('cyclonedx');
 
     return `
         <div class="version-item">
             <div class="version-info">
                 <div class="version-number">${escapeHtml(version.version)}</div>
+                ${version.releaseDate ? `
+                    <div class="version-date">Released: ${formatDate(version.releaseDate)}</div>
+                ` : ''}
                 <div class="version-date">Generated: ${formatDate(version.generatedAt)}</div>
+                ${renderGenerationFailure(version)}
             </div>
             <div class="version-actions">
                 ${hasSpdx ? `
@@ -826,7 +1540,7 @@ function renderVersionItem(product, version) {
                     >
                         SPDX
                     </button>
-                ` : ''}
+                ` : renderFormatFailure(version, 'spdx')}
                 ${hasCyclonedx ? `
                     <button
                         class="btn-format"
@@ -835,11 +1549,31 @@ function renderVersionItem(product, version) {
                     >
                         CycloneDX
                     </button>
+                ` : renderFormatFailure(version, 'cyclonedx')}
+                ${version.vex ? `
+                    <button
+                        class="btn-format"
+                        onclick="downloadSBOM('${escapeHtml(vexUrl)}', '${escapeHtml(product.name)}-${escapeHtml(version.version)}-vex.cyclonedx.json')"
+                        title="Download VEX statements (CycloneDX)"
+                    >
+                        VEX
+                    </button>
                 ` : ''}
                 ${hasCyclonedx ? `
+                    <a
+                        class="btn-format"
+                        href="${escapeHtml(noticesUrl).replace(/"/g, '&quot;')}"
+                        target="_blank"
+                        rel="noopener"
+                        title="Third-party notices (HTML, with a link to the Markdown version)"
+                    >
+                        Notices
+                    </a>
+                ` : ''}
+                ${hasCyclonedx || hasSpdx ? `
                     <button
                         class="btn-icon"
-                        onclick="viewDependencyTree('${escapeHtml(cyclonedxUrl)}', '${escapeHtml(product.name)}', '${escapeHtml(version.version)}', '${escapeHtml(product.source)}')"
+                        onclick="viewDependencyTree('${escapeHtml(hasCyclonedx ? cyclonedxUrl : spdxUrl)}', '${escapeHtml(product.name)}', '${escapeHtml(version.version)}', '${escapeHtml(product.source)}')"
                         title="View interactive dependency tree"
                         aria-label="View dependency tree for ${escapeHtml(product.name)} ${escapeHtml(version.version)}"
                     >
@@ -853,10 +1587,10 @@ function renderVersionItem(product, version) {
                         </svg>
                     </button>
                 ` : ''}
-                ${hasSpdx ? `
+                ${hasSpdx || hasCyclonedx ? `
                     <button
                         class="btn-icon"
-                        onclick="viewSBOM('${escapeHtml(spdxUrl)}', '${escapeHtml(product.name)} ${escapeHtml(version.version)}')"
+                        onclick="viewSBOM('${escapeHtml(hasSpdx ? spdxUrl : cyclonedxUrl)}', '${escapeHtml(product.name)} ${escapeHtml(version.version)}')"
                         title="Preview SBOM contents"
                         aria-label="Preview SBOM for ${escapeHtml(product.name)} ${escapeHtml(version.version)}"
                     >
@@ -867,11 +1601,295 @@ function renderVersionItem(product, version) {
                     </button>
                 ` : ''}
             </div>
+            ${renderVersionVulnerabilities(product, version)}
+            ${renderVersionVex(product, version)}
+            ${renderLicenseSummary(product, version)}
+            ${renderVersionProvenance(product, version)}
         </div>
     `;
 }
 
-// Toggle product versions
+// Stands in for the download button of a format whose generation failed
+function renderFormatFailure(version, format) {
+    const failure = getFormatFailure(version, format);
+    if (!failure) return '';
+    return `
+        <span class="btn-format format-failed" title="${escapeHtml(failure.error || 'SBOM generation failed').replace(/"/g, '&quot;')}">
+            ${SBOM_FORMAT_LABELS[format]}: generation failed
+        </span>
+    `;
+}
+
+// Badge and reason under the version number when any of its SBOMs failed.
+// Long schema errors are cut short; the tooltip has them in full.
+function renderGenerationFailure(version) {
+    const reasons = version.formats
+        .filter(format => getFormatFailure(version, format))
+        .map(format => `${SBOM_FORMAT_LABELS[format] || format}: ${getFormatFailure(version, format).error || 'SBOM generation failed'}`);
+    if (reasons.length === 0) return '';
+
+    const text = reasons.join('; ');
+    return `
+        <div class="version-failure" title="${escapeHtml(text).replace(/"/g, '&quot;')}">
+            <span class="failure-badge">⚠ Generation failed</span>
+            <span class="failure-reason">${escapeHtml(text.length > 140 ? `${text.slice(0, 137)}...` : text)}</span>
+        </div>
+    `;
+}
+
+// What syft scanned for each scan.targetType in version.json
+const PROVENANCE_TARGET_TYPES = {
+    'jar': 'JAR file, scanned as downloaded',
+    'npm-install-tree': 'npm install tree: the package tarball with npm install --omit=dev --ignore-scripts',
+    'pip-target': 'pip --target install of the package and its dependencies',
+    'nupkg-extract': 'Extracted .nupkg contents',
+    'file': 'Downloaded file, scanned as is'
+};
+
+// "How was this generated?" toggle under each version. The panel lists the
+// version.json provenance record (artifact, SHA-256, syft run, scan target),
+// fetched the first time it is opened; versions generated before records
+// were kept only say so.
+function renderVersionProvenance(product, version) {
+    const key = `${product.slug}/${version.version}`;
+    const isOpen = expandedProvenance.has(key);
+    const slug = escapeHtml(product.slug);
+    const name = escapeHtml(version.version);
+
+    let body = '';
+    if (isOpen && !version.provenance) {
+        body = '<div class="provenance-note">Not recorded: this version was generated before provenance records (version.json) were kept.</div>';
+    } else if (isOpen) {
+        const record = provenanceRecords.get(key);
+        if (record === false) {
+            body = '<div class="provenance-note">The provenance record could not be loaded.</div>';
+        } else if (!record) {
+            body = '<div class="provenance-note">Loading...</div>';
+        } else {
+            body = renderProvenanceRecord(product, version, record);
+        }
+    }
+
+    return `
+        <div class="provenance">
+            <span class="versions-toggle provenance-toggle" onclick="toggleProvenance('${slug}', '${name}')">
+                ${isOpen ? '▾' : '▸'} How was this generated?
+            </span>
+            ${body}
+        </div>
+    `;
+}
+
+function renderProvenanceRecord(product, version, record) {
+    const artifact = record.artifact || {};
+    const syft = record.syft || {};
+    const targetType = (record.scan || {}).targetType;
+    const recordUrl = `sboms/${product.slug}/${version.version}/version.json`;
+    const code = (value) => `<code>${escapeHtml(value)}</code>`;
+    const notRecorded = '<span class="provenance-missing">not recorded</span>';
+
+    // Only http(s) URLs become links
+    const artifactUrl = artifact.url && /^https?:\/\//.test(artifact.url) ? `
+        <a href="${escapeHtml(artifact.url).replace(/"/g, '&quot;')}" target="_blank" rel="noopener">${escapeHtml(artifact.url)}</a>
+    ` : (artifact.url ? escapeHtml(artifact.url) : '');
+
+    const rows = [
+        ['Artifact', [artifact.coordinate ? code(artifact.coordinate) : '', artifactUrl].filter(Boolean).join('<br>') || notRecorded],
+        ['SHA-256', artifact.sha256 ? code(artifact.sha256) : notRecorded],
+        ['Scan target', targetType ? `${escapeHtml(PROVENANCE_TARGET_TYPES[targetType] || targetType)} ${code(targetType)}` : notRecorded],
+        ['Syft', syft.version ? code(`syft ${syft.version}`) : notRecorded],
+        ['Catalogers', Array.isArray(syft.catalogers) && syft.catalogers.length > 0 ? syft.catalogers.map(code).join(' ') : notRecorded],
+        ['Enrichment', Array.isArray(syft.enrich) && syft.enrich.length > 0 ? syft.enrich.map(code).join(' ') : notRecorded],
+        ['Options', Array.isArray(syft.options) && syft.options.length > 0 ? code(syft.options.join(' ')) : notRecorded],
+        ['Generated', record.generatedAt ? code(record.generatedAt) : notRecorded]
+    ];
+
+    return `
+        <dl class="provenance-details">
+            ${rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}
+        </dl>
+        <a class="provenance-raw" href="${escapeHtml(recordUrl).replace(/"/g, '&quot;')}" target="_blank" rel="noopener">View version.json</a>
+    `;
+}
+
+async function loadVersionProvenance(slug, version) {
+    const key = `${slug}/${version}`;
+    provenanceRecords.set(key, null);
+    try {
+        const response = await fetch(`sboms/${slug}/${version}/version.json`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        provenanceRecords.set(key, await response.json());
+    } catch (error) {
+        console.warn('Provenance record not loaded:', error.message);
+        provenanceRecords.set(key, false);
+    }
+    renderProducts();
+}
+
+function toggleProvenance(slug, version) {
+    const key = `${slug}/${version}`;
+    if (expandedProvenance.has(key)) {
+        expandedProvenance.delete(key);
+    } else {
+        expandedProvenance.add(key);
+        const product = allProducts.find(p => p.slug === slug);
+        const indexed = product && product.versions.find(v => v.version === version);
+        if (indexed && indexed.provenance && !provenanceRecords.has(key)) {
+            loadVersionProvenance(slug, version);
+        }
+    }
+    renderProducts();
+}
+
+// Known vulnerabilities of the latest version, colored by the worst severity
+function renderVulnerabilityMetaBadge(product, latestVersion) {
+    const summary = getVulnerabilitySummary(product, latestVersion);
+    if (!summary) return '';
+
+    if (summary.total === 0) {
+        return `
+            <span class="meta-badge vuln-meta vuln-none" title="No known vulnerabilities in ${escapeHtml(latestVersion.version)}">
+                🛡️ No known vulnerabilities
+            </span>
+        `;
+    }
+    const worst = VULNERABILITY_SEVERITIES.find(severity => summary[severity] > 0);
+    const counts = VULNERABILITY_SEVERITIES
+        .filter(severity => summary[severity] > 0)
+        .map(severity => `${summary[severity]} ${VULNERABILITY_SEVERITY_LABELS[severity].toLowerCase()}`)
+        .join(', ');
+    return `
+        <span class="meta-badge vuln-meta vuln-${worst}" title="Known vulnerabilities in ${escapeHtml(latestVersion.version)}: ${counts}">
+            🛡️ ${summary.total} vulnerabilit${summary.total !== 1 ? 'ies' : 'y'}
+        </span>
+    `;
+}
+
+const VEX_SUMMARY_TOP = 3; // Statements listed before "+N more"
+
+// Our VEX statements for a version (status, vulnerability, justification).
+// The statements file is fetched the first time the version is rendered.
+function renderVersionVex(product, version) {
+    if (!version.vex) return '';
+
+    const key = `${product.slug}/${version.version}`;
+    if (!vexStatements.has(key)) {
+        loadVersionVex(product, version);
+    }
+    const statements = vexStatements.get(key);
+    const isExpanded = expandedVexSummaries.has(key);
+    const shown = statements ? (isExpanded ? statements : statements.slice(0, VEX_SUMMARY_TOP)) : [];
+    const hiddenCount = statements ? statements.length - shown.length : 0;
+
+    return `
+        <div class="vex-summary">
+            <div class="vex-summary-title">
+                🧾 VEX · ${version.vex.statements} statement${version.vex.statements !== 1 ? 's' : ''}
+            </div>
+            ${statements ? `
+                <ul class="vex-statements">
+                    ${shown.map(statement => `<li>${renderVexStatement(statement)}</li>`).join('')}
+                </ul>
+                ${hiddenCount > 0 || isExpanded && statements.length > VEX_SUMMARY_TOP ? `
+                    <span class="versions-toggle" onclick="toggleVexSummary('${escapeHtml(product.slug)}', '${escapeHtml(version.version)}')">
+                        ${isExpanded ? 'Show fewer' : `+${hiddenCount} more`}
+                    </span>
+                ` : ''}
+            ` : ''}
+        </div>
+    `;
+}
+
+async function loadVersionVex(product, version) {
+    const key = `${product.slug}/${version.version}`;
+    vexStatements.set(key, null);
+    const statements = await loadVexStatements(`sboms/${product.slug}/${version.version}/sbom.cyclonedx.json`);
+    if (statements) {
+        vexStatements.set(key, statements);
+        renderProducts();
+    }
+}
+
+function toggleVexSummary(slug, version) {
+    const key = `${slug}/${version}`;
+    if (expandedVexSummaries.has(key)) {
+        expandedVexSummaries.delete(key);
+    } else {
+        expandedVexSummaries.add(key);
+    }
+    renderProducts();
+}
+
+function renderVersionVulnerabilities(product, version) {
+    const summary = getVulnerabilitySummary(product, version);
+    if (!summary) return '';
+
+    return `
+        <div class="vulnerability-summary">
+            <span class="vuln-summary-label" title="Matched against an offline OSV snapshot">🛡️ Vulnerabilities</span>
+            ${renderVulnerabilityCounts(summary)}
+        </div>
+    `;
+}
+
+const LICENSE_SUMMARY_TOP = 4; // Licenses listed before "+N more"
+
+// Licenses of a version's components, counted per license and colored by the
+// license policy, with the number of components denied or needing review
+function renderLicenseSummary(product, version) {
+    const summary = (licenseSummaries[product.slug] || {})[version.version];
+    if (!summary) return '';
+
+    const { components, entries, unknown, totals } = summarizeLicenses(summary);
+    const key = `${product.slug}/${version.version}`;
+    const isExpanded = expandedLicenseSummaries.has(key);
+    const shown = isExpanded ? entries : entries.slice(0, LICENSE_SUMMARY_TOP);
+    const hiddenCount = entries.length - shown.length;
+
+    // A component with several licenses is in each of their chips
+    const chip = (label, count, status, description) => `
+        <span class="license-chip${status ? ` license-${status}` : ''}"
+              title="${count} component${count !== 1 ? 's' : ''} ${escapeHtml(description)}${status ? ` (${LICENSE_STATUS_LABELS[status]})` : ''}">
+            ${escapeHtml(label)} <strong>${count}</strong>
+        </span>
+    `;
+
+    const statusBadges = [
+        totals.denied > 0 ? `<span class="license-status license-denied">⛔ ${totals.denied} denied</span>` : '',
+        totals.review > 0 ? `<span class="license-status license-review">⚠️ ${totals.review} to review</span>` : '',
+        licensePolicy && totals.denied === 0 && totals.review === 0 ? '<span class="license-status license-allowed">✓ All allowed</span>' : ''
+    ].join('');
+
+    return `
+        <div class="license-summary">
+            <div class="license-summary-header">
+                <span class="license-summary-title">⚖️ ${components} component${components !== 1 ? 's' : ''}</span>
+                ${statusBadges}
+            </div>
+            <div class="license-chips">
+                ${shown.map(entry => chip(entry.license, entry.count, entry.status, `with ${entry.license}`)).join('')}
+                ${unknown.count > 0 ? chip('unknown', unknown.count, unknown.status, 'without license information') : ''}
+                ${entries.length > LICENSE_SUMMARY_TOP ? `
+                    <span class="versions-toggle" onclick="toggleLicenseSummary('${escapeHtml(product.slug)}', '${escapeHtml(version.version)}')">
+                        ${isExpanded ? 'Show fewer' : `+${hiddenCount} more`}
+                    </span>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+function toggleLicenseSummary(slug, version) {
+    const key = `${slug}/${version}`;
+    if (expandedLicenseSummaries.has(key)) {
+        expandedLicenseSummaries.delete(key);
+    } else {
+        expandedLicenseSummaries.add(key);
+    }
+    renderProducts();
+}
+
+// Toggle product versions
 function toggleProductVersions(productName) {
     if (expandedProducts.has(productName)) {
         expandedProducts.delete(productName);
@@ -879,11 +1897,13 @@ function toggleProductVersions(productName) {
         expandedProducts.add(productName);
     }
     renderProducts();
+    updateUrlState(true);
 }
 
 // Format date
 function formatDate(dateString) {
-    const date = new Date(dateString);
+    // Date-only strings (release dates) parse as UTC midnight; read them as local days
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(dateString) ? new Date(`${dateString}T00:00:00`) : new Date(dateString);
     return date.toLocaleDateString('en-US', {
         year: 'numeric',
         month: 'short',
@@ -904,6 +1924,16 @@ function downloadSBOM(url, filename) {
     showToast('Download started');
 }
 
+// SBOM Viewer - State
+let sbomViewer = null; // { raw, model, url, target } for the document in the SBOM modal
+let sbomViewerTab = 'metadata';
+let sbomPackageSort = { key: 'name', direction: 'asc' };
+let sbomPackageFilter = '';
+let sbomRequestId = 0; // Bumped per viewSBOM call and on close, so a slower earlier fetch can't replace the newer document
+
+// Tables stop rendering rows past this point to keep the modal responsive
+const SBOM_VIEWER_ROW_LIMIT = 1000;
+
 // View SBOM in modal
 async function viewSBOM(url, title) {
     const modal = document.getElementById('sbom-modal');
@@ -911,9 +1941,18 @@ async function viewSBOM(url, title) {
     const sbomContent = document.getElementById('sbom-content');
 
     modalTitle.textContent = title;
-    sbomContent.innerHTML = '<code>Loading...</code>';
+    sbomContent.innerHTML = '<div class="tree-empty">Loading...</div>';
     modal.style.display = 'flex';
 
+    const target = parseSbomUrl(url);
+    openModalState = target ? { type: 'sbom', slug: target.slug, version: target.version, format: target.format } : null;
+    updateUrlState(true);
+
+    sbomViewer = null;
+    sbomPackageFilter = '';
+    sbomPackageSort = { key: 'name', direction: 'asc' };
+    const requestId = ++sbomRequestId;
+
     try {
         const response = await fetch(url);
         if (!response.ok) {
@@ -921,18 +1960,614 @@ async function viewSBOM(url, title) {
         }
 
         const data = await response.json();
-        const formatted = JSON.stringify(data, null, 2);
-        sbomContent.innerHTML = `<code>${escapeHtml(formatted)}</code>`;
+        if (requestId !== sbomRequestId) return;
+        const failure = getSbomGenerationError(data);
+        if (failure) {
+            throw new Error(failure);
+        }
+        sbomViewer = { raw: data, model: normalizeSBOM(data), url: url, target: target };
+        renderSBOMViewer();
     } catch (error) {
+        if (requestId !== sbomRequestId) return;
         console.error('Error loading SBOM:', error);
-        sbomContent.innerHTML = `<code>Error loading SBOM: ${escapeHtml(error.message)}</code>`;
+        sbomContent.innerHTML = `<div class="tree-empty" style="color: var(--accent);">Error loading SBOM: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// Reduce an SPDX or CycloneDX document to the fields the viewer displays
+function normalizeSBOM(data) {
+    if (data.spdxVersion) {
+        return normalizeSPDXDocument(data);
+    }
+    if (data.bomFormat === 'CycloneDX') {
+        return normalizeCycloneDXDocument(data);
+    }
+    throw new Error('Unrecognized SBOM format (expected SPDX or CycloneDX JSON)');
+}
+
+function normalizeSPDXDocument(data) {
+    const packages = data.packages || [];
+    const relationships = data.relationships || [];
+    const creationInfo = data.creationInfo || {};
+    const isAsserted = (value) => value && value !== 'NOASSERTION' && value !== 'NONE';
+
+    const labels = new Map([[data.SPDXID, data.name || data.SPDXID]]);
+    packages.forEach(pkg => {
+        labels.set(pkg.SPDXID, pkg.versionInfo ? `${pkg.name}@${pkg.versionInfo}` : pkg.name);
+    });
+    (data.files || []).forEach(file => labels.set(file.SPDXID, file.fileName));
+
+    return {
+        format: data.spdxVersion,
+        metadata: [
+            ['Format', data.spdxVersion],
+            ['Name', data.name],
+            ['Document Namespace', data.documentNamespace],
+            ['Data License', data.dataLicense],
+            ['Created', creationInfo.created ? formatDate(creationInfo.created) : null],
+            ['Creators', (creationInfo.creators || []).join(', ')],
+            ['License List Version', creationInfo.licenseListVersion],
+            ['Packages', packages.length],
+            ['Files', (data.files || []).length],
+            ['Relationships', relationships.length]
+        ],
+        packages: packages.map(pkg => {
+            const purlRef = (pkg.externalRefs || []).find(ref => ref.referenceType === 'purl');
+            const license = [pkg.licenseDeclared, pkg.licenseConcluded].find(isAsserted);
+            return {
+                name: pkg.name || '',
+                version: pkg.versionInfo || '',
+                purl: purlRef ? purlRef.referenceLocator : '',
+                license: license || '',
+                supplier: isAsserted(pkg.supplier) ? pkg.supplier.replace(/^(Person|Organization):\s*/, '') : ''
+            };
+        }),
+        relationships: relationships.map(rel => ({
+            from: labels.get(rel.spdxElementId) || rel.spdxElementId,
+            type: rel.relationshipType,
+            to: labels.get(rel.relatedSpdxElement) || rel.relatedSpdxElement
+        }))
+    };
+}
+
+function normalizeCycloneDXDocument(data) {
+    const components = data.components || [];
+    const dependencies = data.dependencies || [];
+    const metadata = data.metadata || {};
+
+    // tools is an object with components in CycloneDX 1.5+, an array before that
+    const tools = Array.isArray(metadata.tools) ? metadata.tools : (metadata.tools?.components || []);
+
+    const labels = new Map();
+    if (metadata.component) {
+        labels.set(metadata.component['bom-ref'], metadata.component.name);
+    }
+    components.forEach(comp => {
+        labels.set(comp['bom-ref'], comp.version ? `${comp.name}@${comp.version}` : comp.name);
+    });
+
+    const relationships = [];
+    dependencies.forEach(dep => {
+        (dep.dependsOn || []).forEach(childRef => {
+            relationships.push({
+                from: labels.get(dep.ref) || dep.ref,
+                type: 'DEPENDS_ON',
+                to: labels.get(childRef) || childRef
+            });
+        });
+    });
+
+    return {
+        format: `CycloneDX ${data.specVersion || ''}`.trim(),
+        metadata: [
+            ['Format', `CycloneDX ${data.specVersion || ''}`.trim()],
+            ['Serial Number', data.serialNumber],
+            ['BOM Version', data.version],
+            ['Timestamp', metadata.timestamp ? formatDate(metadata.timestamp) : null],
+            ['Tools', tools.map(t => [t.vendor || t.author, t.name, t.version].filter(Boolean).join(' ')).join(', ')],
+            ['Component', metadata.component ? `${metadata.component.name} (${metadata.component.type})` : null],
+            ['Components', components.length],
+            ['Dependency Entries', dependencies.length]
+        ],
+        packages: components
+            .filter(comp => comp.type !== 'file')
+            .map(comp => ({
+                name: comp.name || '',
+                version: comp.version || '',
+                purl: comp.purl || '',
+                license: getLicenseNames(comp.licenses).join(', '),
+                supplier: comp.supplier?.name || comp.publisher || comp.author || ''
+            })),
+        relationships: relationships
+    };
+}
+
+// Render the tab bar and the active tab of the SBOM viewer
+function renderSBOMViewer() {
+    const sbomContent = document.getElementById('sbom-content');
+    if (!sbomViewer) return;
+
+    const { model } = sbomViewer;
+    const tabs = [
+        { id: 'metadata', label: 'Metadata' },
+        { id: 'packages', label: `Packages (${model.packages.length})` },
+        { id: 'relationships', label: `Relationships (${model.relationships.length})` },
+        { id: 'raw', label: 'Raw JSON' }
+    ];
+
+    sbomContent.innerHTML = `
+        <div class="viewer-tabs" role="tablist">
+            ${tabs.map(tab => `
+                <button class="viewer-tab ${tab.id === sbomViewerTab ? 'active' : ''}"
+                        role="tab"
+                        aria-selected="${tab.id === sbomViewerTab}"
+                        onclick="switchSBOMViewerTab('${tab.id}')">
+                    ${tab.label}
+                </button>
+            `).join('')}
+            ${renderSBOMFormatSwitch()}
+        </div>
+        <div id="viewer-panel" class="viewer-panel"></div>
+    `;
+
+    renderSBOMViewerPanel();
+}
+
+// Offer the other format of the same version when it exists
+function renderSBOMFormatSwitch() {
+    const target = sbomViewer.target;
+    if (!target) return '';
+
+    const product = allProducts.find(p => p.slug === target.slug);
+    const version = product && product.versions.find(v => v.version === target.version);
+    if (!version) return '';
+
+    const formats = [
+        { id: 'spdx', label: 'SPDX' },
+        { id: 'cyclonedx', label: 'CycloneDX' }
+    ].filter(f => getAvailableFormats(version).includes(f.id));
+    if (formats.length < 2) return '';
+
+    return `
+        <div class="viewer-format-switch">
+            ${formats.map(f => `
+                <button class="viewer-format ${f.id === target.format ? 'active' : ''}"
+                        onclick="viewSBOM('sboms/${escapeHtml(product.slug)}/${escapeHtml(version.version)}/sbom.${f.id}.json', '${escapeHtml(product.name)} ${escapeHtml(version.version)}')">
+                    ${f.label}
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+function switchSBOMViewerTab(tab) {
+    sbomViewerTab = tab;
+    renderSBOMViewer();
+}
+
+function renderSBOMViewerPanel() {
+    const panel = document.getElementById('viewer-panel');
+    const { model, raw } = sbomViewer;
+
+    switch (sbomViewerTab) {
+        case 'metadata':
+            panel.innerHTML = `
+                <dl class="viewer-metadata">
+                    ${model.metadata
+                        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+                        .map(([label, value]) => `
+                            <dt>${escapeHtml(label)}</dt>
+                            <dd>${escapeHtml(String(value))}</dd>
+                        `).join('')}
+                </dl>
+            `;
+            break;
+        case 'packages':
+            panel.innerHTML = `
+                <div class="viewer-filter">
+                    <input type="text"
+                           id="viewer-package-filter"
+                           class="viewer-filter-input"
+                           placeholder="Filter by name, version, purl, license or supplier..."
+                           autocomplete="off"
+                           value="${escapeHtml(sbomPackageFilter)}"
+                           oninput="filterSBOMPackages(this.value)" />
+                </div>
+                <div id="viewer-package-table"></div>
+            `;
+            renderSBOMPackageTable();
+            break;
+        case 'relationships':
+            panel.innerHTML = renderViewerTable(
+                [
+                    { key: 'from', label: 'Element' },
+                    { key: 'type', label: 'Relationship' },
+                    { key: 'to', label: 'Related Element' }
+                ],
+                model.relationships
+            );
+            break;
+        case 'raw':
+            panel.innerHTML = `<div class="json-tree">${renderJsonNode(null, raw, [], true)}</div>`;
+            // toggle does not bubble, so listen in the capture phase
+            panel.querySelector('.json-tree').addEventListener('toggle', handleJsonNodeToggle, true);
+            break;
+    }
+}
+
+// Render the packages table with the current sort and filter applied
+function renderSBOMPackageTable() {
+    const container = document.getElementById('viewer-package-table');
+    if (!container) return;
+
+    const filter = sbomPackageFilter.toLowerCase().trim();
+    const { key, direction } = sbomPackageSort;
+
+    const rows = sbomViewer.model.packages
+        .filter(pkg => !filter || ['name', 'version', 'purl', 'license', 'supplier']
+            .some(field => pkg[field].toLowerCase().includes(filter)))
+        .sort((a, b) => {
+            const result = key === 'version'
+                ? compareVersions(a.version, b.version)
+                : a[key].localeCompare(b[key]);
+            return direction === 'asc' ? result : -result;
+        });
+
+    container.innerHTML = renderViewerTable(
+        [
+            { key: 'name', label: 'Name' },
+            { key: 'version', label: 'Version' },
+            { key: 'purl', label: 'purl' },
+            { key: 'license', label: 'License' },
+            { key: 'supplier', label: 'Supplier' }
+        ],
+        rows,
+        sbomPackageSort
+    );
+}
+
+// Render a table; columns are sortable when a sort state is passed
+function renderViewerTable(columns, rows, sort) {
+    if (rows.length === 0) {
+        return '<div class="tree-empty">Nothing to show.</div>';
     }
+
+    const visibleRows = rows.slice(0, SBOM_VIEWER_ROW_LIMIT);
+
+    return `
+        <table class="diff-table viewer-table">
+            <thead>
+                <tr>
+                    ${columns.map(col => {
+                        if (!sort) return `<th>${col.label}</th>`;
+                        const indicator = sort.key === col.key ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+                        return `<th class="sortable" onclick="sortSBOMPackages('${col.key}')">${col.label}${indicator}</th>`;
+                    }).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${visibleRows.map(row => `
+                    <tr>${columns.map(col => `<td>${escapeHtml(String(row[col.key] || ''))}</td>`).join('')}</tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${rows.length > visibleRows.length ? `
+            <div class="viewer-note">Showing ${visibleRows.length} of ${rows.length} rows. Narrow the filter or download the SBOM to see everything.</div>
+        ` : ''}
+    `;
+}
+
+function sortSBOMPackages(key) {
+    if (sbomPackageSort.key === key) {
+        sbomPackageSort.direction = sbomPackageSort.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+        sbomPackageSort = { key: key, direction: 'asc' };
+    }
+    renderSBOMPackageTable();
+}
+
+function filterSBOMPackages(value) {
+    sbomPackageFilter = value;
+    renderSBOMPackageTable();
+}
+
+// Render one JSON value as a collapsible node. Children are rendered when a
+// node is first opened, so multi-megabyte documents stay cheap to display;
+// nodes rendered open are marked so their first toggle keeps the subtree.
+function renderJsonNode(key, value, path, open = false) {
+    const keyHtml = key !== null ? `<span class="json-key">${escapeHtml(String(key))}</span>: ` : '';
+
+    if (value === null || typeof value !== 'object') {
+        const type = value === null ? 'null' : typeof value;
+        const display = typeof value === 'string' ? `"${value}"` : String(value);
+        return `<div class="json-leaf">${keyHtml}<span class="json-${type}">${escapeHtml(display)}</span></div>`;
+    }
+
+    const isArray = Array.isArray(value);
+    const size = isArray ? value.length : Object.keys(value).length;
+    const preview = isArray ? `[${size}]` : `{${size}}`;
+
+    return `
+        <details class="json-node" data-path="${encodeURIComponent(JSON.stringify(path))}" ${open ? 'open' : ''}>
+            <summary>${keyHtml}<span class="json-preview">${preview}</span></summary>
+            <div class="json-children"${open ? ' data-rendered="true"' : ''}>${open ? renderJsonChildren(value, path) : ''}</div>
+        </details>
+    `;
+}
+
+function renderJsonChildren(value, path) {
+    const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+    return entries.map(([childKey, childValue]) =>
+        renderJsonNode(childKey, childValue, path.concat(childKey))
+    ).join('');
+}
+
+function handleJsonNodeToggle(event) {
+    const node = event.target;
+    if (!node.classList || !node.classList.contains('json-node') || !node.open) return;
+
+    const children = node.querySelector(':scope > .json-children');
+    if (children.dataset.rendered) return;
+
+    const path = JSON.parse(decodeURIComponent(node.dataset.path));
+    const value = path.reduce((current, key) => current[key], sbomViewer.raw);
+    children.innerHTML = renderJsonChildren(value, path);
+    children.dataset.rendered = 'true';
 }
 
 // Close modal
 function closeModal() {
     const modal = document.getElementById('sbom-modal');
     modal.style.display = 'none';
+    sbomRequestId++;
+    clearOpenModalState('sbom');
+}
+
+// Forget the open modal and drop it from the URL
+function clearOpenModalState(type) {
+    if (openModalState && openModalState.type === type) {
+        openModalState = null;
+        updateUrlState(true);
+    }
+}
+
+// Extract slug, version and format from an "sboms/<slug>/<version>/sbom.<format>.json" URL
+function parseSbomUrl(url) {
+    const match = /sboms\/([^/]+)\/([^/]+)\/sbom\.(\w+)\.json$/.exec(url);
+    if (!match) return null;
+    return { slug: match[1], version: match[2], format: match[3] };
+}
+
+// Flatten CycloneDX license entries into display names
+function getLicenseNames(licenses) {
+    if (!licenses || licenses.length === 0) return [];
+    return licenses
+        .map(l => l.expression || l.license?.id || l.license?.name)
+        .filter(Boolean);
+}
+
+// Identify a package independently of its version. bom-refs carry a
+// per-scan ?package-id= suffix and purls embed the version, so neither
+// matches the same package across two SBOMs; strip both down to
+// type/namespace/name.
+function getPackageKey(component) {
+    if (component.purl) {
+        return component.purl.split('?')[0].split('#')[0].replace(/@[^/@]*$/, '').toLowerCase();
+    }
+    return `name:${(component.name || '').toLowerCase()}`;
+}
+
+// Collect CycloneDX components keyed by versionless package identity
+function collectPackages(sbom) {
+    const packages = new Map();
+    (sbom.components || []).forEach(comp => {
+        // syft also lists scanned manifest files as type "file"; they are not packages
+        if (!comp.name || comp.type === 'file') return;
+        const key = getPackageKey(comp);
+        if (!packages.has(key)) {
+            packages.set(key, {
+                name: comp.name,
+                purl: comp.purl,
+                versions: new Set(),
+                licenses: new Set()
+            });
+        }
+        const entry = packages.get(key);
+        entry.versions.add(comp.version || 'unknown');
+        getLicenseNames(comp.licenses).forEach(l => entry.licenses.add(l));
+    });
+    return packages;
+}
+
+// Diff the components of two CycloneDX SBOMs
+function diffSBOMs(baseSbom, targetSbom) {
+    const base = collectPackages(baseSbom);
+    const target = collectPackages(targetSbom);
+    const diff = {
+        added: [],
+        removed: [],
+        upgraded: [],
+        downgraded: [],
+        licenseChanged: [],
+        unchanged: 0
+    };
+
+    const sortedVersions = (set) => Array.from(set).sort(compareVersions);
+    const sortedLicenses = (set) => Array.from(set).sort();
+
+    target.forEach((pkg, key) => {
+        if (!base.has(key)) {
+            diff.added.push({
+                name: pkg.name,
+                purl: pkg.purl,
+                versions: sortedVersions(pkg.versions),
+                licenses: sortedLicenses(pkg.licenses)
+            });
+        }
+    });
+
+    base.forEach((basePkg, key) => {
+        const targetPkg = target.get(key);
+        if (!targetPkg) {
+            diff.removed.push({
+                name: basePkg.name,
+                purl: basePkg.purl,
+                versions: sortedVersions(basePkg.versions),
+                licenses: sortedLicenses(basePkg.licenses)
+            });
+            return;
+        }
+
+        const fromVersions = sortedVersions(basePkg.versions);
+        const toVersions = sortedVersions(targetPkg.versions);
+        const fromLicenses = sortedLicenses(basePkg.licenses);
+        const toLicenses = sortedLicenses(targetPkg.licenses);
+        let changed = false;
+
+        if (fromVersions.join('|') !== toVersions.join('|')) {
+            // Packages installed at several versions (npm) are compared by
+            // their highest version
+            const direction = compareVersions(toVersions[toVersions.length - 1], fromVersions[fromVersions.length - 1]);
+            const entry = { name: targetPkg.name, purl: targetPkg.purl, from: fromVersions, to: toVersions };
+            if (direction < 0) {
+                diff.downgraded.push(entry);
+            } else {
+                diff.upgraded.push(entry);
+            }
+            changed = true;
+        }
+
+        if (fromLicenses.join('|') !== toLicenses.join('|')) {
+            diff.licenseChanged.push({ name: targetPkg.name, purl: targetPkg.purl, from: fromLicenses, to: toLicenses });
+            changed = true;
+        }
+
+        if (!changed) {
+            diff.unchanged++;
+        }
+    });
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    diff.added.sort(byName);
+    diff.removed.sort(byName);
+    diff.upgraded.sort(byName);
+    diff.downgraded.sort(byName);
+    diff.licenseChanged.sort(byName);
+
+    return diff;
+}
+
+// Open the diff modal for the versions selected on a product card
+async function openVersionDiff(productName) {
+    const product = allProducts.find(p => p.name === productName);
+    if (!product) return;
+
+    const { from, to } = getCompareSelection(product);
+    const modal = document.getElementById('diff-modal');
+    const modalTitle = document.getElementById('diff-modal-title');
+    const diffContent = document.getElementById('diff-content');
+
+    modalTitle.textContent = `${product.name}: ${from} → ${to}`;
+    modal.style.display = 'flex';
+
+    openModalState = { type: 'diff', slug: product.slug, version: `${from}..${to}`, from: from, to: to };
+    updateUrlState(true);
+
+    if (from === to) {
+        diffContent.innerHTML = '<div class="tree-empty">Pick two different versions to compare.</div>';
+        return;
+    }
+
+    diffContent.innerHTML = `
+        <div class="tree-loading">
+            <div class="loading-spinner"></div>
+            <div style="color: var(--primary); font-size: 16px; margin-top: 16px;">Comparing SBOMs...</div>
+        </div>
+    `;
+
+    try {
+        const [baseSbom, targetSbom] = await Promise.all([from, to].map(async (v) => {
+            const response = await fetch(`sboms/${product.slug}/${v}/sbom.cyclonedx.json`);
+            if (!response.ok) {
+                throw new Error(`Failed to load SBOM for ${v}`);
+            }
+            return response.json();
+        }));
+
+        diffContent.innerHTML = renderVersionDiff(diffSBOMs(baseSbom, targetSbom));
+    } catch (error) {
+        console.error('Error comparing SBOMs:', error);
+        diffContent.innerHTML = `<div class="tree-empty" style="color: var(--accent);">Error comparing SBOMs: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// Render a diff produced by diffSBOMs
+function renderVersionDiff(diff) {
+    const versionList = (versions) => escapeHtml(versions.join(', ') || 'unknown');
+    const licenseList = (licenses) => escapeHtml(licenses.join(', ') || 'none');
+
+    const renderSection = (title, cssClass, rows, columns) => {
+        if (rows.length === 0) return '';
+        return `
+            <section class="diff-section">
+                <h3 class="diff-section-title ${cssClass}">${title} (${rows.length})</h3>
+                <table class="diff-table">
+                    <thead>
+                        <tr>${columns.map(c => `<th>${c.label}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>${columns.map(c => `<td>${c.render(row)}</td>`).join('')}</tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </section>
+        `;
+    };
+
+    const nameColumn = {
+        label: 'Package',
+        render: row => `<span class="diff-name" title="${escapeHtml(row.purl || '')}">${escapeHtml(row.name)}</span>`
+    };
+    const changeColumn = (label, format) => ({
+        label: label,
+        render: row => `${format(row.from)} <span class="compare-arrow">→</span> ${format(row.to)}`
+    });
+
+    const totalChanges = diff.added.length + diff.removed.length + diff.upgraded.length +
+        diff.downgraded.length + diff.licenseChanged.length;
+
+    return `
+        <div class="diff-summary">
+            <span class="diff-chip diff-added">+${diff.added.length} added</span>
+            <span class="diff-chip diff-removed">−${diff.removed.length} removed</span>
+            <span class="diff-chip diff-upgraded">↑${diff.upgraded.length} upgraded</span>
+            <span class="diff-chip diff-downgraded">↓${diff.downgraded.length} downgraded</span>
+            <span class="diff-chip diff-license">${diff.licenseChanged.length} license changes</span>
+            <span class="diff-chip">${diff.unchanged} unchanged</span>
+        </div>
+        ${totalChanges === 0 ? '<div class="tree-empty">No component changes between these versions.</div>' : ''}
+        ${renderSection('Added', 'diff-added', diff.added, [
+            nameColumn,
+            { label: 'Version', render: row => versionList(row.versions) },
+            { label: 'License', render: row => licenseList(row.licenses) }
+        ])}
+        ${renderSection('Removed', 'diff-removed', diff.removed, [
+            nameColumn,
+            { label: 'Version', render: row => versionList(row.versions) },
+            { label: 'License', render: row => licenseList(row.licenses) }
+        ])}
+        ${renderSection('Upgraded', 'diff-upgraded', diff.upgraded, [nameColumn, changeColumn('Version', versionList)])}
+        ${renderSection('Downgraded', 'diff-downgraded', diff.downgraded, [nameColumn, changeColumn('Version', versionList)])}
+        ${renderSection('License Changes', 'diff-license', diff.licenseChanged, [nameColumn, changeColumn('License', licenseList)])}
+    `;
+}
+
+// Close diff modal
+function closeDiffModal() {
+    const modal = document.getElementById('diff-modal');
+    modal.style.display = 'none';
+    clearOpenModalState('diff');
 }
 
 // Show error
@@ -987,9 +2622,26 @@ let treeSearchQuery = '';
 let userExpandedAll = false;
 let treeSearchSuggestions = [];
 let activeTreeSuggestionIndex = -1;
+let treeExportName = '';
+let treeViewMode = 'list'; // 'list' | 'graph'
+let treeGraphModel = null;
+let treeGraphZoom = null;
+let treeRows = []; // { node, level } for every row the list would show, top to bottom
+let treeMatches = null; // Node id -> whether the node or anything below it matches treeMatchesQuery
+let treeMatchesQuery = null;
+let treeRowsFrame = null;
+let treeFlashNodeId = null;
+let treeRequestUrl = null; // SBOM the modal is waiting on, so late worker replies are dropped
+let treeVulnerabilities = null; // purl / name@version -> findings entry for the open tree (vulnerabilities.js)
+let treeVexStatements = null; // VEX statements of the open tree's version, or null
+
+// The list only renders the rows in view, so every row has the same height
+const TREE_ROW_HEIGHT = 36;
+const TREE_ROW_OVERSCAN = 15;
 
 // View dependency tree
-async function viewDependencyTree(sbomUrl, productName, version, source) {
+// focus ({ name, version }, optional) selects that package once the tree is built
+async function viewDependencyTree(sbomUrl, productName, version, source, focus) {
     const modal = document.getElementById('tree-modal');
     const modalTitle = document.getElementById('tree-modal-title');
     const treeContent = document.getElementById('tree-content');
@@ -1000,15 +2652,31 @@ async function viewDependencyTree(sbomUrl, productName, version, source) {
     expandedNodes = new Set();
     treeSearchQuery = '';
     userExpandedAll = false;
+    treeRows = [];
+    treeMatchesQuery = null;
+    treeVulnerabilities = null;
+    treeVexStatements = null;
+    resetTreeGraph();
 
     // Update title
     modalTitle.textContent = `${productName} ${version} - Dependency Tree`;
+    treeExportName = `${productName}-${version}`;
+
+    const target = parseSbomUrl(sbomUrl);
+    openModalState = target ? { type: 'tree', slug: target.slug, version: target.version, focus: focus || null } : null;
 
     // Show modal and loading
     modal.style.display = 'flex';
     treeLoading.style.display = 'flex';
+    treeLoading.innerHTML = `
+        <div class="loading-spinner"></div>
+        <div class="tree-loading-text" style="color: var(--primary); font-size: 16px; margin-top: 16px;">Loading dependency tree...</div>
+    `;
+    const treeLoadingText = treeLoading.querySelector('.tree-loading-text');
+    treeRequestUrl = sbomUrl;
     treeContent.style.display = 'none';
     treeContent.innerHTML = '';
+    treeContent.scrollTop = 0;
 
     // Setup event listeners (only once)
     if (!modal.dataset.listenersSet) {
@@ -1025,32 +2693,72 @@ async function viewDependencyTree(sbomUrl, productName, version, source) {
 
         treeSearchClearBtn.addEventListener('click', clearTreeSearch);
 
+        treeContent.addEventListener('scroll', () => {
+            if (treeRowsFrame) return;
+            treeRowsFrame = requestAnimationFrame(() => {
+                treeRowsFrame = null;
+                renderTreeRows();
+            });
+        });
+
+        document.getElementById('tree-view-toggle-btn').addEventListener('click', () => {
+            setTreeViewMode(treeViewMode === 'graph' ? 'list' : 'graph');
+            updateUrlState(true);
+        });
         document.getElementById('tree-expand-all-btn').addEventListener('click', expandAllTree);
         document.getElementById('tree-collapse-all-btn').addEventListener('click', collapseAllTree);
-        document.getElementById('tree-export-btn').addEventListener('click', () => exportTree(productName, version));
+        document.getElementById('tree-export-menu').innerHTML = renderTreeExportMenu('exportTree');
+        document.getElementById('tree-export-btn').addEventListener('click', () => {
+            const menu = document.getElementById('tree-export-menu');
+            menu.style.display = menu.style.display === 'none' ? 'block' : 'none';
+        });
 
-        // Click outside to close tree suggestions
+        // Click outside to close tree suggestions and the export menu
         document.addEventListener('click', (e) => {
             const suggestionsBox = document.getElementById('tree-search-suggestions');
             if (suggestionsBox && !e.target.closest('.tree-controls .search-input-container')) {
                 hideTreeSuggestions();
             }
+            if (!e.target.closest('.export-menu-wrapper')) {
+                document.getElementById('tree-export-menu').style.display = 'none';
+            }
         });
 
         modal.dataset.listenersSet = 'true';
     }
 
+    hideTreeSidePanel();
+
     // Clear search input and suggestions
     document.getElementById('tree-search-input').value = '';
     document.getElementById('tree-search-clear-btn').style.display = 'none';
     hideTreeSuggestions();
+    updateUrlState(true);
 
     try {
-        const response = await fetch(sbomUrl);
-        if (!response.ok) throw new Error('Failed to load SBOM');
-
-        const sbom = await response.json();
-        treeData = parseCycloneDX(sbom, productName, version);
+        // Fetching and parsing happen in the worker; only the lazy tree is built here.
+        // Findings and VEX statements are only fetched for versions that list them.
+        const hasFindings = target && (vulnerabilitySummaries[target.slug] || {})[target.version];
+        const indexedVersion = target && ((allProducts.find(p => p.slug === target.slug) || {}).versions || [])
+            .find(v => v.version === target.version);
+        const [graph, findings, vex] = await Promise.all([
+            runSbomWorkerTask({
+                task: 'sbom-graph',
+                url: new URL(sbomUrl, location.href).href,
+                productName: productName,
+                version: version
+            }, (progress) => {
+                treeLoadingText.textContent = formatWorkerProgress('Loading dependency tree', 'Parsing SBOM', progress);
+            }),
+            hasFindings ? loadComponentVulnerabilities(sbomUrl) : null,
+            indexedVersion && indexedVersion.vex ? loadVexStatements(sbomUrl) : null
+        ]);
+
+        // The modal may have been closed or switched to another SBOM meanwhile
+        if (treeRequestUrl !== sbomUrl) return;
+        treeVulnerabilities = findings;
+        treeVexStatements = vex;
+        treeData = buildDependencyTree(graph.componentMap, graph.dependsOn, graph.rootInfo);
 
         if (!treeData || treeData.children.length === 0) {
             treeLoading.innerHTML = '<div class="tree-empty">No dependency information found in this SBOM.</div>';
@@ -1066,7 +2774,12 @@ async function viewDependencyTree(sbomUrl, productName, version, source) {
 
         treeLoading.style.display = 'none';
         treeContent.style.display = 'block';
+
+        if (focus) {
+            focusTreePackage(focus);
+        }
     } catch (error) {
+        if (treeRequestUrl !== sbomUrl) return;
         treeLoading.innerHTML = `<div class="tree-empty" style="color: var(--accent);">Error loading SBOM: ${escapeHtml(error.message)}</div>`;
     }
 }
@@ -1080,208 +2793,58 @@ function closeTreeModal() {
     expandedNodes = new Set();
     treeSearchQuery = '';
     userExpandedAll = false;
+    treeRows = [];
+    treeMatchesQuery = null;
+    treeRequestUrl = null;
+    treeVulnerabilities = null;
+    treeVexStatements = null;
     treeSearchSuggestions = [];
     activeTreeSuggestionIndex = -1;
     hideTreeSuggestions();
-}
-
-function parseCycloneDX(sbom, productName, version) {
-    const components = sbom.components || [];
-    const dependencies = sbom.dependencies || [];
-
-    // Key by bom-ref first: syft's dependency refs use bom-ref format
-    // (purl + ?package-id=...) which plain purl omits, causing lookups to miss.
-    const componentMap = new Map();
-    components.forEach(comp => {
-        const ref = comp['bom-ref'] || comp.purl || comp.name;
-        componentMap.set(ref, {
-            name: comp.name,
-            version: comp.version || 'unknown',
-            type: comp.type || 'library',
-            purl: comp.purl,
-            description: comp.description,
-            licenses: comp.licenses
-        });
-    });
-
-    // When syft scans a directory, metadata.component is the scan path (no purl,
-    // hash bom-ref) — not the npm package. Validate the ref exists in the
-    // dependencies list; if not, find the true root topologically.
-    let rootRef = null;
-    if (sbom.metadata && sbom.metadata.component) {
-        rootRef = sbom.metadata.component.purl || sbom.metadata.component['bom-ref'] || sbom.metadata.component.name;
-    }
-
-    if (!rootRef || !dependencies.some(d => d.ref === rootRef)) {
-        const allDependsOn = new Set();
-        dependencies.forEach(dep => (dep.dependsOn || []).forEach(r => allDependsOn.add(r)));
-        const topLevel = dependencies.find(d => !allDependsOn.has(d.ref));
-        if (topLevel) rootRef = topLevel.ref;
-    }
-
-    if (!rootRef && dependencies.length > 0) {
-        rootRef = dependencies[0].ref;
-    }
-
-    if (!rootRef && components.length > 0) {
-        rootRef = components[0]['bom-ref'] || components[0].purl || components[0].name;
-    }
-
-    const root = {
-        name: sbom.metadata?.component?.name || productName || 'Root Package',
-        version: sbom.metadata?.component?.version || version || '',
-        children: [],
-        type: 'root',
-        depth: 0,
-        id: 'root'
-    };
-
-    const processedRefs = new Set();
-
-    function buildTree(ref, depth = 1, maxDepth = 10) {
-        if (depth > maxDepth || processedRefs.has(ref)) {
-            return null;
-        }
-        processedRefs.add(ref);
-
-        const component = componentMap.get(ref);
-        if (!component) return null;
-
-        const node = {
-            name: component.name,
-            version: component.version,
-            type: depth === 1 ? 'direct' : 'transitive',
-            depth: depth,
-            purl: component.purl,
-            description: component.description,
-            licenses: component.licenses,
-            children: [],
-            id: `${component.name}@${component.version}-${depth}`
-        };
-
-        const dep = dependencies.find(d => d.ref === ref);
-        if (dep && dep.dependsOn) {
-            dep.dependsOn.forEach(childRef => {
-                const childNode = buildTree(childRef, depth + 1, maxDepth);
-                if (childNode) {
-                    node.children.push(childNode);
-                }
-            });
-        }
-
-        return node;
-    }
-
-    if (dependencies.length > 0) {
-        // Expand ALL topological roots, not just the first one. Artifacts like
-        // DotNet packages produce multiple disconnected subgraphs (one per
-        // assembly/deps.json); picking only the first root silently drops the rest.
-        const allDependsOnRefs = new Set();
-        dependencies.forEach(dep => (dep.dependsOn || []).forEach(r => allDependsOnRefs.add(r)));
-        const rootDeps = dependencies.filter(d => !allDependsOnRefs.has(d.ref));
-
-        rootDeps.forEach(rootDep => {
-            if (rootDep && rootDep.dependsOn) {
-                rootDep.dependsOn.forEach(depRef => {
-                    const childNode = buildTree(depRef, 1);
-                    if (childNode) {
-                        root.children.push(childNode);
-                    }
-                });
-            }
-        });
-    }
-
-    // Append any components not reachable through the dependency graph.
-    // These are leaf assemblies syft found via binary/PE scanning but couldn't
-    // connect to a dependency root (common in DotNet nupkg scans).
-    components.forEach((comp, i) => {
-        const ref = comp['bom-ref'] || comp.purl || comp.name;
-        if (!processedRefs.has(ref)) {
-            root.children.push({
-                name: comp.name,
-                version: comp.version || 'unknown',
-                type: 'direct',
-                depth: 1,
-                purl: comp.purl,
-                description: comp.description,
-                licenses: comp.licenses,
-                children: [],
-                id: `${comp.name}@${comp.version || 'unknown'}-1-${i}`
-            });
-        }
-    });
-
-    // Deduplicate nodes with identical name@version at each tree level.
-    // Common in DotNet nupkg scans where syft's PE cataloger emits one entry
-    // per platform-specific DLL that all embed the same product name/version.
-    function deduplicateChildren(node) {
-        if (!node.children || node.children.length === 0) return;
-        const seen = new Map();
-        node.children = node.children.filter(child => {
-            const key = `${child.name}@${child.version}`;
-            if (seen.has(key)) return false;
-            seen.set(key, true);
-            return true;
-        });
-        node.children.forEach(deduplicateChildren);
-    }
-    deduplicateChildren(root);
-
-    return root;
+    hideTreeSidePanel();
+    resetTreeGraph();
+    clearOpenModalState('tree');
 }
 
 function getNodeId(node) {
     return node.id || `${node.name}@${node.version}-${node.depth || 0}`;
 }
 
+// Every package is expanded exactly once, at the depth recorded in its placement
 function updateTreeStats(tree) {
-    let totalPackages = 0;
     let directDeps = 0;
-    let transitiveDeps = 0;
-
-    function countNodes(node) {
-        totalPackages++;
-        if (node.type === 'direct') directDeps++;
-        if (node.type === 'transitive') transitiveDeps++;
-        if (node.children) {
-            node.children.forEach(countNodes);
-        }
-    }
-
-    if (tree.children) {
-        tree.children.forEach(countNodes);
-    }
+    tree.graph.placement.forEach(({ depth }) => {
+        if (depth === 1) directDeps++;
+    });
 
-    document.getElementById('tree-stat-total').textContent = totalPackages;
+    document.getElementById('tree-stat-total').textContent = tree.graph.placement.size;
     document.getElementById('tree-stat-direct').textContent = directDeps;
-    document.getElementById('tree-stat-transitive').textContent = transitiveDeps;
+    document.getElementById('tree-stat-transitive').textContent = tree.graph.placement.size - directDeps;
 }
 
-// Build tree search suggestions from current tree data
+// Build tree search suggestions from the packages in the tree's graph,
+// without building every level of the tree
 function buildTreeSearchSuggestions() {
     const suggestions = [];
     const seen = new Set();
 
-    function extractPackages(node) {
-        const packageId = `${node.name}@${node.version || ''}`.toLowerCase();
-        if (!seen.has(packageId)) {
+    if (treeData) {
+        const { componentMap, nodeIdsByRef, placement } = treeData.graph;
+        placement.forEach(({ depth }, ref) => {
+            const component = componentMap.get(ref);
+            const packageId = `${component.name}@${component.version || ''}`.toLowerCase();
+            if (seen.has(packageId)) return;
             seen.add(packageId);
+
+            const type = depth === 1 ? 'direct' : 'transitive';
             suggestions.push({
-                text: node.name,
-                version: node.version || '',
-                type: node.type || 'package',
-                icon: node.type === 'direct' ? '📘' : '📙'
+                text: component.name,
+                version: component.version || '',
+                type: type,
+                icon: type === 'direct' ? '📘' : '📙',
+                nodeId: nodeIdsByRef.get(ref)
             });
-        }
-
-        if (node.children) {
-            node.children.forEach(extractPackages);
-        }
-    }
-
-    if (treeData && treeData.children) {
-        treeData.children.forEach(extractPackages);
+        });
     }
 
     treeSearchSuggestions = suggestions;
@@ -1307,6 +2870,7 @@ function handleTreeSearch(e) {
     treeSearchQuery = query.toLowerCase();
     userExpandedAll = false;
     renderTree();
+    updateUrlState();
 }
 
 // Clear tree search
@@ -1320,6 +2884,7 @@ function clearTreeSearch() {
     treeSearchQuery = '';
     userExpandedAll = false;
     renderTree();
+    updateUrlState();
     treeSearchInput.focus();
 }
 
@@ -1372,6 +2937,11 @@ function showTreeSuggestions(query) {
                         <span class="suggestion-type">${suggestion.type === 'direct' ? 'Direct' : 'Transitive'}</span>
                     </div>
                 </div>
+                <button class="suggestion-why-btn"
+                        onclick="event.stopPropagation(); hideTreeSuggestions(); showDependencyPaths('${escapeHtml(suggestion.nodeId)}')"
+                        title="Why is ${escapeHtml(displayText)} here?">
+                    Why?
+                </button>
             </div>
         `;
     }).join('');
@@ -1395,6 +2965,18 @@ function selectTreeSuggestion(text) {
     treeSearchQuery = text.toLowerCase();
     userExpandedAll = false;
     renderTree();
+    updateUrlState();
+}
+
+// Set the tree search programmatically (used when restoring from the URL)
+function setTreeSearch(query) {
+    const treeSearchInput = document.getElementById('tree-search-input');
+    treeSearchInput.value = query;
+    document.getElementById('tree-search-clear-btn').style.display = query ? 'flex' : 'none';
+    hideTreeSuggestions();
+    treeSearchQuery = query.toLowerCase();
+    userExpandedAll = false;
+    renderTree();
 }
 
 // Handle keyboard navigation in tree suggestions
@@ -1446,15 +3028,25 @@ function matchesTreeSearch(node) {
     return matchesName || matchesVersion || matchesDescription;
 }
 
-function hasMatchingChild(node) {
-    if (!node.children || node.children.length === 0) return false;
-
-    for (const child of node.children) {
-        if (matchesTreeSearch(child) || hasMatchingChild(child)) {
-            return true;
-        }
+// Whether the node or anything below it matches the search. The whole tree is
+// checked once per query, so filtering stays linear in the number of nodes.
+function subtreeMatchesSearch(node) {
+    if (!treeSearchQuery) return true;
+    if (treeMatchesQuery !== treeSearchQuery) {
+        treeMatches = new Map();
+        treeMatchesQuery = treeSearchQuery;
+        collectTreeMatches(treeData);
     }
-    return false;
+    return treeMatches.get(getNodeId(node)) || false;
+}
+
+function collectTreeMatches(node) {
+    let matches = matchesTreeSearch(node);
+    node.children.forEach(child => {
+        if (collectTreeMatches(child)) matches = true;
+    });
+    treeMatches.set(getNodeId(node), matches);
+    return matches;
 }
 
 function renderTree() {
@@ -1469,8 +3061,130 @@ function renderTree() {
         expandMatchingPaths(treeData);
     }
 
-    const html = renderTreeNode(treeData, 0);
-    container.innerHTML = html;
+    treeRows = buildTreeRows();
+    if (treeRows.length === 0) {
+        container.innerHTML = '<div class="tree-empty">No packages match your search</div>';
+    } else {
+        if (!container.querySelector('.tree-rows')) {
+            container.innerHTML = '<div class="tree-rows"><div class="tree-rows-window"></div></div>';
+        }
+        container.querySelector('.tree-rows').style.height = `${treeRows.length * TREE_ROW_HEIGHT}px`;
+        renderTreeRows();
+    }
+
+    if (treeViewMode === 'graph') {
+        updateTreeGraphSearch();
+    }
+}
+
+// Flatten the expanded part of the tree into the rows the list shows
+function buildTreeRows() {
+    const rows = [];
+
+    function addRows(node, level) {
+        if (treeSearchQuery && !subtreeMatchesSearch(node)) return;
+        rows.push({ node: node, level: level });
+        if (expandedNodes.has(getNodeId(node))) {
+            node.children.forEach(child => addRows(child, level + 1));
+        }
+    }
+    addRows(treeData, 0);
+
+    return rows;
+}
+
+// Draw the rows in view (plus a few either side) into the scrolled window
+function renderTreeRows() {
+    const container = document.getElementById('tree-content');
+    const rowWindow = container.querySelector('.tree-rows-window');
+    if (!rowWindow) return;
+
+    const viewHeight = container.clientHeight || window.innerHeight;
+    const first = Math.max(0, Math.floor(container.scrollTop / TREE_ROW_HEIGHT) - TREE_ROW_OVERSCAN);
+    const last = Math.min(treeRows.length, Math.ceil((container.scrollTop + viewHeight) / TREE_ROW_HEIGHT) + TREE_ROW_OVERSCAN);
+
+    rowWindow.style.transform = `translateY(${first * TREE_ROW_HEIGHT}px)`;
+    rowWindow.innerHTML = treeRows.slice(first, last).map(renderTreeRow).join('');
+}
+
+// Switch the tree modal between the nested list and the node-link graph
+function setTreeViewMode(mode) {
+    treeViewMode = mode;
+    const graph = document.getElementById('tree-graph');
+    const list = document.getElementById('tree-content');
+    const toggleBtn = document.getElementById('tree-view-toggle-btn');
+
+    toggleBtn.textContent = mode === 'graph' ? 'List View' : 'Graph View';
+    document.getElementById('tree-expand-all-btn').disabled = mode === 'graph';
+    document.getElementById('tree-collapse-all-btn').disabled = mode === 'graph';
+
+    if (mode !== 'graph' || !treeData) {
+        graph.style.display = 'none';
+        if (treeData) list.style.display = 'block';
+        return;
+    }
+
+    list.style.display = 'none';
+    graph.style.display = 'flex';
+    if (!treeGraphModel) {
+        renderTreeGraph();
+    }
+    updateTreeGraphSearch();
+}
+
+// Lay out and draw the graph once per SBOM; search only toggles classes afterwards
+function renderTreeGraph() {
+    const canvas = document.getElementById('tree-graph-canvas');
+    treeGraphModel = buildGraphModel(treeData);
+    const bounds = layoutGraphModel(treeGraphModel);
+    canvas.innerHTML = renderGraphSvg(treeGraphModel, bounds);
+
+    const svg = canvas.querySelector('svg');
+    treeGraphZoom = attachGraphZoom(svg);
+    treeGraphZoom.fit();
+
+    svg.addEventListener('click', (e) => {
+        const nodeEl = e.target.closest('.graph-node');
+        if (!nodeEl) return;
+        const node = treeGraphModel.nodes.get(nodeEl.dataset.ref);
+        if (node && node.nodeId) showComponentDetails(node.nodeId);
+    });
+
+    // Highlight the edges of the hovered node
+    svg.addEventListener('mouseover', (e) => {
+        const nodeEl = e.target.closest('.graph-node');
+        svg.querySelectorAll('.graph-edge.active').forEach(edge => edge.classList.remove('active'));
+        if (!nodeEl) return;
+        const ref = nodeEl.dataset.ref;
+        svg.querySelectorAll('.graph-edge').forEach(edge => {
+            if (edge.dataset.from === ref || edge.dataset.to === ref) edge.classList.add('active');
+        });
+    });
+}
+
+function updateTreeGraphSearch() {
+    if (!treeGraphModel) return;
+    document.querySelectorAll('#tree-graph-canvas .graph-node').forEach(nodeEl => {
+        const node = treeGraphModel.nodes.get(nodeEl.dataset.ref);
+        const matches = treeSearchQuery && !node.isRoot && matchesTreeSearch({
+            name: node.label,
+            version: node.version,
+            description: ''
+        });
+        nodeEl.classList.toggle('match', Boolean(matches));
+        nodeEl.classList.toggle('dimmed', Boolean(treeSearchQuery) && !matches && !node.isRoot);
+    });
+}
+
+function resetTreeGraph() {
+    treeViewMode = 'list';
+    treeGraphModel = null;
+    treeGraphZoom = null;
+    document.getElementById('tree-graph').style.display = 'none';
+    document.getElementById('tree-graph-canvas').innerHTML = '';
+    document.getElementById('tree-view-toggle-btn').textContent = 'Graph View';
+    document.getElementById('tree-expand-all-btn').disabled = false;
+    document.getElementById('tree-collapse-all-btn').disabled = false;
 }
 
 function expandMatchingPaths(node) {
@@ -1478,36 +3192,48 @@ function expandMatchingPaths(node) {
         expandedNodes.add(getNodeId(node));
     }
 
-    if (node.children && node.children.length > 0) {
-        const hasMatch = node.children.some(child =>
-            matchesTreeSearch(child) || hasMatchingChild(child)
-        );
-
-        if (hasMatch) {
-            expandedNodes.add(getNodeId(node));
-            node.children.forEach(expandMatchingPaths);
-        }
+    const matchingChildren = node.children.filter(subtreeMatchesSearch);
+    if (matchingChildren.length > 0) {
+        expandedNodes.add(getNodeId(node));
+        matchingChildren.forEach(expandMatchingPaths);
     }
 }
 
-function renderTreeNode(node, level) {
+function renderTreeRow({ node, level }) {
     const nodeId = getNodeId(node);
     const isExpanded = expandedNodes.has(nodeId);
-    const hasChildren = node.children && node.children.length > 0;
+    const hasChildren = node.children.length > 0;
 
-    const nodeMatches = matchesTreeSearch(node);
-    const childMatches = hasMatchingChild(node);
+    const classes = [
+        'tree-node',
+        'tree-row',
+        treeSearchQuery && matchesTreeSearch(node) ? 'highlight' : '',
+        nodeId === treeFlashNodeId ? 'flash' : ''
+    ].filter(Boolean).join(' ');
+    const attribute = (text) => escapeHtml(text).replace(/"/g, '&quot;');
 
-    if (treeSearchQuery && !nodeMatches && !childMatches) {
-        return '';
-    }
+    const packageString = node.version ? `${node.name}@${node.version}` : node.name;
 
-    const highlightClass = treeSearchQuery && nodeMatches ? 'highlight' : '';
+    if (node.backRef) {
+        return `
+            <div class="${classes} back-ref" data-node-id="${escapeHtml(nodeId)}" style="padding-left: ${level * 24}px;">
+                <div class="node-content">
+                    <div class="node-main" onclick="jumpToTreeNode('${escapeHtml(node.backRef)}')" title="Jump to ${escapeHtml(packageString)}">
+                        <span class="node-toggle node-empty">↪</span>
+                        <span class="node-name">${escapeHtml(node.name)}</span>
+                        <span class="node-version">@${escapeHtml(node.version)}</span>
+                        <span class="node-back-ref-note">(shown above)</span>
+                    </div>
+                    ${renderWhyButton(node.backRef, packageString)}
+                </div>
+            </div>
+        `;
+    }
 
-    const packageString = node.version ? `${node.name}@${node.version}` : node.name;
+    const licenseNames = getComponentLicenseNames(node.licenses);
 
-    let html = `
-        <div class="tree-node ${highlightClass}" style="padding-left: ${level * 24}px;">
+    return `
+        <div class="${classes}" data-node-id="${escapeHtml(nodeId)}" style="padding-left: ${level * 24}px;">
             <div class="node-content">
                 <div class="node-main" onclick="toggleTreeNode('${escapeHtml(nodeId)}')">
                     ${hasChildren ? `
@@ -1520,7 +3246,11 @@ function renderTreeNode(node, level) {
                         ${node.type === 'root' ? '📦' : node.type === 'direct' ? '📘' : '📙'}
                     </span>
 
-                    <span class="node-name">${escapeHtml(node.name)}</span>
+                    ${node.type !== 'root' ? `
+                        <span class="node-name node-name-link"
+                              onclick="event.stopPropagation(); showComponentDetails('${escapeHtml(nodeId)}')"
+                              title="Show details for ${escapeHtml(packageString)}">${escapeHtml(node.name)}</span>
+                    ` : `<span class="node-name">${escapeHtml(node.name)}</span>`}
 
                     ${node.version ? `
                         <span class="node-version">@${escapeHtml(node.version)}</span>
@@ -1529,7 +3259,15 @@ function renderTreeNode(node, level) {
                     ${hasChildren ? `
                         <span class="node-count">(${node.children.length})</span>
                     ` : ''}
+
+                    <span class="node-row-details">
+                        ${renderVulnerabilityBadge(getComponentVulnerabilities(treeVulnerabilities, node))}
+                        ${renderVexBadge(getComponentVexStatements(treeVexStatements, node))}
+                        ${licenseNames.length > 0 ? `<span class="node-license" title="License: ${attribute(licenseNames.join(', '))}">${renderLicenseNames(licenseNames)}</span>` : ''}
+                        ${node.description ? `<span class="node-description" title="${attribute(node.description)}">${escapeHtml(node.description)}</span>` : ''}
+                    </span>
                 </div>
+                ${node.type !== 'root' ? renderWhyButton(nodeId, packageString) : ''}
                 <button
                     class="node-copy-btn"
                     onclick="event.stopPropagation(); copyNodeToClipboard('${escapeHtml(packageString)}')"
@@ -1541,28 +3279,8 @@ function renderTreeNode(node, level) {
                     </svg>
                 </button>
             </div>
-
-            ${node.description ? `
-                <div class="node-description">${escapeHtml(node.description.substring(0, 100))}${node.description.length > 100 ? '...' : ''}</div>
-            ` : ''}
-
-            ${node.licenses && node.licenses.length > 0 ? `
-                <div class="node-license">
-                    License: ${node.licenses.map(l => l.license?.name || l.license?.id || 'Unknown').join(', ')}
-                </div>
-            ` : ''}
         </div>
     `;
-
-    if (hasChildren && isExpanded) {
-        html += '<div class="node-children">';
-        node.children.forEach(child => {
-            html += renderTreeNode(child, level + 1);
-        });
-        html += '</div>';
-    }
-
-    return html;
 }
 
 function toggleTreeNode(nodeId) {
@@ -1575,6 +3293,208 @@ function toggleTreeNode(nodeId) {
     renderTree();
 }
 
+function renderWhyButton(nodeId, packageString) {
+    return `
+        <button
+            class="node-copy-btn node-why-btn"
+            onclick="event.stopPropagation(); showDependencyPaths('${escapeHtml(nodeId)}')"
+            title="Why is ${escapeHtml(packageString)} here?"
+        >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <circle cx="12" cy="12" r="10"></circle>
+                <path d="M9.09 9a3 3 0 0 1 5.83 1c0 2-3 3-3 3"></path>
+                <line x1="12" y1="17" x2="12.01" y2="17"></line>
+            </svg>
+        </button>
+    `;
+}
+
+// Show every root-to-node path for a package in the side panel
+function showDependencyPaths(nodeId) {
+    const treePath = findTreeNodePath(treeData, nodeId);
+    if (!treePath) return;
+
+    const target = treePath[treePath.length - 1];
+    const { componentMap, nodeIdsByRef } = treeData.graph;
+    const { paths, truncated } = findDependencyPaths(treeData, target.ref);
+    const label = (ref) => {
+        const component = componentMap.get(ref);
+        return component ? `${component.name}@${component.version}` : ref;
+    };
+
+    const panel = document.getElementById('tree-side-panel');
+    panel.innerHTML = `
+        <div class="side-panel-header">
+            <div>
+                <div class="side-panel-title">Why is ${escapeHtml(target.name)}@${escapeHtml(target.version)} here?</div>
+                <div class="side-panel-subtitle">
+                    ${paths.length} ${paths.length === 1 ? 'path' : 'paths'} from ${escapeHtml(treeData.name)}${truncated ? ` (search stopped early, showing the first ${paths.length}; there may be more)` : ''}
+                </div>
+            </div>
+            <button class="modal-close" onclick="hideTreeSidePanel()" aria-label="Close">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"/>
+                    <line x1="6" y1="6" x2="18" y2="18"/>
+                </svg>
+            </button>
+        </div>
+        <ol class="tree-paths-list">
+            ${paths.map(chain => `
+                <li class="tree-path">
+                    <span class="tree-path-step tree-path-root">${escapeHtml(treeData.name)}</span>
+                    ${chain.map(ref => {
+                        const refNodeId = nodeIdsByRef.get(ref);
+                        return `<span class="tree-path-sep">›</span>` + (refNodeId
+                            ? `<a class="tree-path-step" onclick="jumpToTreeNode('${escapeHtml(refNodeId)}')">${escapeHtml(label(ref))}</a>`
+                            : `<span class="tree-path-step">${escapeHtml(label(ref))}</span>`);
+                    }).join('')}
+                </li>
+            `).join('')}
+        </ol>
+    `;
+    panel.style.display = 'block';
+}
+
+// Show every SBOM field of a component in the side panel
+function showComponentDetails(nodeId) {
+    const treePath = findTreeNodePath(treeData, nodeId);
+    if (!treePath) return;
+
+    const node = treePath[treePath.length - 1];
+    const component = treeData.graph.componentMap.get(node.ref);
+    if (!component) return;
+
+    const details = component.details || {};
+    const properties = details.properties || [];
+    const getProperties = (pattern) => properties.filter(p => pattern.test(p.name)).map(p => p.value);
+    const link = (url, label) => /^https?:\/\//i.test(url)
+        ? `<a href="${escapeHtml(url).replace(/"/g, '&quot;')}" target="_blank" rel="noopener">${escapeHtml(label || url)}</a>`
+        : escapeHtml(label ? `${label}: ${url}` : url);
+    const list = (items) => items.length > 0
+        ? `<ul class="detail-list">${items.map(item => `<li>${item}</li>`).join('')}</ul>`
+        : '';
+
+    // syft keeps extra CPEs, where it found the package and which cataloger in properties
+    const cpes = [...(details.cpes || []), ...getProperties(/^syft:cpe23$/)];
+    const locations = getProperties(/^syft:location:\d+:path$/);
+    const foundBy = getProperties(/^syft:package:foundBy$/);
+    const otherProperties = properties.filter(p =>
+        !/^syft:cpe23$|^syft:location:\d+:path$|^syft:package:foundBy$/.test(p.name));
+    const licenses = getComponentLicenseNames(component.licenses);
+    const vulnerabilities = getComponentVulnerabilities(treeVulnerabilities, component);
+    const vex = getComponentVexStatements(treeVexStatements, node);
+
+    const fields = [
+        ['Type', escapeHtml(component.type)],
+        ['Group', details.group ? escapeHtml(details.group) : ''],
+        ['purl', component.purl ? `<code>${escapeHtml(component.purl)}</code>` : ''],
+        ['Registry', list(getRegistryLinks(component.purl).map(r => link(r.url, r.label)))],
+        ['License', renderLicenseNames(licenses)],
+        ['Vulnerabilities', renderVulnerabilityList(vulnerabilities, vex)],
+        ['VEX', list(vex.map(renderVexStatement))],
+        ['Author', details.author ? escapeHtml(details.author) : ''],
+        ['Supplier', details.supplier ? escapeHtml(details.supplier) : ''],
+        ['Publisher', details.publisher ? escapeHtml(details.publisher) : ''],
+        ['Description', component.description ? escapeHtml(component.description) : ''],
+        ['CPE', list(cpes.map(cpe => `<code>${escapeHtml(cpe)}</code>`))],
+        ['Found by', escapeHtml(foundBy.join(', '))],
+        ['Locations', list(locations.map(path => `<code>${escapeHtml(path)}</code>`))],
+        ['Hashes', list((details.hashes || []).map(h => `${escapeHtml(h.alg)}: <code>${escapeHtml(h.content)}</code>`))],
+        ['External References', list((details.externalReferences || []).map(r => [
+            `${escapeHtml(r.type)}:`,
+            r.url ? link(r.url) : '',
+            ...(r.hashes || []).map(h => `${escapeHtml(h.alg)} <code>${escapeHtml(h.content)}</code>`)
+        ].filter(Boolean).join(' ')))],
+        ['Properties', list(otherProperties.map(p => `${escapeHtml(p.name)}: <code>${escapeHtml(p.value)}</code>`))]
+    ].filter(([, value]) => value);
+
+    const panel = document.getElementById('tree-side-panel');
+    panel.innerHTML = `
+        <div class="side-panel-header">
+            <div>
+                <div class="side-panel-title">${escapeHtml(component.name)}@${escapeHtml(component.version)}</div>
+                <div class="side-panel-subtitle">
+                    <a class="tree-path-step" onclick="showDependencyPaths('${escapeHtml(getNodeId(node))}')">Why is this here?</a>
+                </div>
+            </div>
+            <button class="modal-close" onclick="hideTreeSidePanel()" aria-label="Close">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"/>
+                    <line x1="6" y1="6" x2="18" y2="18"/>
+                </svg>
+            </button>
+        </div>
+        <dl class="component-details">
+            ${fields.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}
+        </dl>
+    `;
+    panel.style.display = 'block';
+}
+
+function hideTreeSidePanel() {
+    const panel = document.getElementById('tree-side-panel');
+    panel.style.display = 'none';
+    panel.innerHTML = '';
+}
+
+// Jump to a package by lowercased name and version (package results and the
+// node URL parameter) and open its details. Falls back to any version of the
+// package if that exact one isn't in this SBOM.
+function focusTreePackage(focus) {
+    if (!treeData) return;
+
+    let exactRef = null;
+    let nameRef = null;
+    treeData.graph.componentMap.forEach((component, ref) => {
+        if (exactRef || (component.name || '').toLowerCase() !== focus.name) return;
+        if ((component.version || 'unknown') === focus.version) {
+            exactRef = ref;
+        } else if (!nameRef) {
+            nameRef = ref;
+        }
+    });
+
+    const nodeId = treeData.graph.nodeIdsByRef.get(exactRef || nameRef);
+    if (!nodeId) {
+        showToast(`${focus.name}@${focus.version} is not in this tree`);
+        return;
+    }
+
+    if (treeViewMode === 'graph') {
+        setTreeViewMode('list');
+    }
+    jumpToTreeNode(nodeId);
+    showComponentDetails(nodeId);
+}
+
+// Expand the path to a node, scroll it into view and flash it
+function jumpToTreeNode(nodeId) {
+    const path = findTreeNodePath(treeData, nodeId);
+    if (!path) return;
+
+    // The target may be filtered out by the current search
+    if (treeSearchQuery && !matchesTreeSearch(path[path.length - 1])) {
+        setTreeSearch('');
+        updateUrlState();
+    }
+
+    userExpandedAll = false;
+    path.slice(0, -1).forEach(node => expandedNodes.add(getNodeId(node)));
+    renderTree();
+
+    const index = treeRows.findIndex(row => getNodeId(row.node) === nodeId);
+    if (index === -1) return;
+
+    const container = document.getElementById('tree-content');
+    container.scrollTop = Math.max(0, index * TREE_ROW_HEIGHT - (container.clientHeight - TREE_ROW_HEIGHT) / 2);
+    treeFlashNodeId = nodeId;
+    renderTreeRows();
+    setTimeout(() => {
+        treeFlashNodeId = null;
+        renderTreeRows();
+    }, 1500);
+}
+
 function expandAllTree() {
     userExpandedAll = true;
     function addAllNodes(node) {
@@ -1594,35 +3514,16 @@ function collapseAllTree() {
     renderTree();
 }
 
-function exportTree(productName, version) {
-    let text = '';
-
-    function exportNode(node, prefix = '', isLast = true) {
-        const connector = isLast ? '└── ' : '├── ';
-        const childPrefix = isLast ? '    ' : '│   ';
-
-        text += prefix + connector + node.name;
-        if (node.version) text += `@${node.version}`;
-        text += '\n';
-
-        if (node.children && node.children.length > 0) {
-            node.children.forEach((child, i) => {
-                exportNode(child, prefix + childPrefix, i === node.children.length - 1);
-            });
-        }
-    }
-
-    exportNode(treeData);
+// Download the tree, or only the search matches when that option is ticked
+function exportTree(format) {
+    const menu = document.getElementById('tree-export-menu');
+    const filteredOnly = menu.querySelector('.export-filtered-toggle').checked;
+    const tree = filteredOnly && treeSearchQuery
+        ? filterTreeForExport(treeData, matchesTreeSearch)
+        : treeData;
 
-    const blob = new Blob([text], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${productName}-${version}-dependency-tree.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadTreeExport(tree, format, treeExportName);
+    menu.style.display = 'none';
 }
 
 async function copyNodeToClipboard(packageString) {
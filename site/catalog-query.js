@@ -0,0 +1,386 @@
+// Catalog Query - field-qualified search for the product catalog
+// Parses queries such as `pkg:jackson-databind@<2.15 license:GPL* product:"Java Agent"`
+// into terms, evaluates them against the package index and suggests completions.
+// Words without a field keep the plain substring search of earlier versions.
+//
+// The catalog passed around here is { products, packageComponents }: index.json
+// products plus the map loadPackageData() gets from sbom-worker.js. Each
+// component carries the purls of that product's package version, so purls of
+// same-named packages from other ecosystems never mix in.
+
+const CATALOG_QUERY_FIELDS = {
+    product: { label: 'Product name', example: 'product:"Java Agent"' },
+    version: { label: 'Product version: exact, glob or >=, >, <=, <, !=', example: 'version:>=6.20' },
+    pkg: { label: 'Package name, optionally @version range', example: 'pkg:jackson-databind@<2.15' },
+    purl: { label: 'Package URL without version', example: 'purl:pkg:maven/org.apache.logging.log4j/log4j-core' },
+    license: { label: 'Component license, SPDX id or glob', example: 'license:GPL*' }
+};
+
+// Fields describing one component; all of them must hold for the same component
+const CATALOG_COMPONENT_FIELDS = ['pkg', 'purl', 'license'];
+
+// Split on whitespace outside double quotes, keeping each token's position
+function tokenizeCatalogQuery(text) {
+    const tokens = [];
+    const pattern = /(?:[^\s"]+|"[^"]*"?)+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+// "field:value" with a known field, or null for a plain word
+function splitCatalogToken(token) {
+    const colon = token.indexOf(':');
+    if (colon === -1) return null;
+
+    const field = token.slice(0, colon).toLowerCase();
+    if (!CATALOG_QUERY_FIELDS[field]) return null;
+
+    return { field: field, value: token.slice(colon + 1).replace(/"/g, '') };
+}
+
+function parseCatalogQuery(text) {
+    const query = { terms: [], text: '' };
+    const words = [];
+
+    tokenizeCatalogQuery(text).forEach(token => {
+        const parsed = splitCatalogToken(token.text);
+        if (!parsed) {
+            words.push(token.text.replace(/"/g, ''));
+        } else if (parsed.value) {
+            query.terms.push(parseCatalogTerm(parsed.field, parsed.value));
+        }
+    });
+
+    query.text = words.join(' ').toLowerCase();
+    return query;
+}
+
+function parseCatalogTerm(field, value) {
+    if (field === 'version') {
+        return { field: field, constraint: parseVersionConstraint(value) };
+    }
+
+    if (field === 'pkg' || field === 'purl') {
+        // The version follows the last "@", unless that "@" starts an npm scope:
+        //   purl:pkg:npm/@babel/core        -> pattern only
+        //   purl:pkg:npm/@babel/core@>=7.20 -> pattern and version constraint
+        //   pkg:@babel/core@7.*             -> pattern and version constraint
+        const at = value.lastIndexOf('@');
+        const hasVersion = at > 0 && at > value.lastIndexOf('/');
+        const name = hasVersion ? value.slice(0, at) : value;
+        return {
+            field: field,
+            // SBOM purls encode the scope's "@" as %40, so either spelling matches
+            pattern: compileCatalogGlob(field === 'purl' ? name.replace(/@/g, '%40') : name),
+            constraint: hasVersion && value.slice(at + 1) ? parseVersionConstraint(value.slice(at + 1)) : null
+        };
+    }
+
+    return { field: field, pattern: compileCatalogGlob(value) };
+}
+
+// Case-insensitive whole-value match; * and ? are wildcards
+function compileCatalogGlob(value) {
+    const source = value.split('').map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+// ">=6.20" -> { op: '>=', version: '6.20' }; globs become { op: 'glob', pattern }
+function parseVersionConstraint(value) {
+    const match = /^(>=|<=|!=|>|<|=)?(.*)$/.exec(value.trim());
+    const op = match[1] || '=';
+    const version = match[2].trim();
+
+    if (/[*?]/.test(version) && (op === '=' || op === '!=')) {
+        return { op: op === '=' ? 'glob' : '!glob', pattern: compileCatalogGlob(version) };
+    }
+    return { op: op, version: version };
+}
+
+function matchesVersionConstraint(version, constraint) {
+    switch (constraint.op) {
+        case 'glob': return constraint.pattern.test(version);
+        case '!glob': return !constraint.pattern.test(version);
+    }
+
+    const result = compareVersions(version, constraint.version);
+    switch (constraint.op) {
+        case '>=': return result >= 0;
+        case '<=': return result <= 0;
+        case '>': return result > 0;
+        case '<': return result < 0;
+        case '!=': return result !== 0;
+        default: return result === 0;
+    }
+}
+
+// A license expression matches when the whole expression or any id in it does
+function matchesLicensePattern(license, pattern) {
+    if (pattern.test(license)) return true;
+    return license.split(/\s+(?:AND|OR|WITH)\s+|[()]/i)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .some(part => pattern.test(part));
+}
+
+// Does a component term hold for one package version?
+function matchesComponentTerm(term, pkgName, component, purls) {
+    switch (term.field) {
+        case 'pkg':
+            return term.pattern.test(pkgName) &&
+                (!term.constraint || matchesVersionConstraint(component.version, term.constraint));
+        case 'purl':
+            return purls.some(purl => term.pattern.test(purl)) &&
+                (!term.constraint || matchesVersionConstraint(component.version, term.constraint));
+        case 'license':
+            return component.licenses.some(license => matchesLicensePattern(license, term.pattern));
+        default:
+            return true;
+    }
+}
+
+// Package components satisfying every component term, as
+// [{ pkgName, purls, component }]; null when there are no component terms
+function findComponentTermMatches(query, catalog) {
+    const componentTerms = query.terms.filter(term => CATALOG_COMPONENT_FIELDS.includes(term.field));
+    if (componentTerms.length === 0) return null;
+
+    const nameTerms = componentTerms.filter(term => term.field === 'pkg');
+    const matches = [];
+
+    catalog.packageComponents.forEach((components, pkgName) => {
+        // Cheap name check first; most packages fail it
+        if (!nameTerms.every(term => term.pattern.test(pkgName))) return;
+
+        components.forEach(component => {
+            if (componentTerms.every(term => matchesComponentTerm(term, pkgName, component, component.purls))) {
+                matches.push({ pkgName: pkgName, purls: component.purls, component: component });
+            }
+        });
+    });
+    return matches;
+}
+
+// Product versions a product or version term lets through, for one product
+function filterProductVersions(query, product, versions) {
+    const productTerms = query.terms.filter(term => term.field === 'product');
+    if (!productTerms.every(term => term.pattern.test(product.name) || term.pattern.test(product.slug))) {
+        return [];
+    }
+
+    const versionTerms = query.terms.filter(term => term.field === 'version');
+    return versions.filter(version => versionTerms.every(term => matchesVersionConstraint(version, term.constraint)));
+}
+
+// Product name -> Set of matching product versions, or null when the query has
+// no field terms (plain words are matched by the caller)
+function findCatalogMatches(query, catalog) {
+    if (query.terms.length === 0) return null;
+
+    // Product versions shipping a component that satisfies every component term
+    const components = findComponentTermMatches(query, catalog);
+    let componentMatches = null;
+    if (components) {
+        componentMatches = new Map();
+        components.forEach(({ component }) => {
+            if (!componentMatches.has(component.productName)) {
+                componentMatches.set(component.productName, new Set());
+            }
+            component.productVersions.forEach(v => componentMatches.get(component.productName).add(v));
+        });
+    }
+
+    const matches = new Map();
+    catalog.products.forEach(product => {
+        const versions = filterProductVersions(query, product, product.versions.map(v => v.version))
+            .filter(version => !componentMatches || (componentMatches.get(product.name) || new Set()).has(version));
+
+        if (versions.length > 0) {
+            matches.set(product.name, new Set(versions));
+        }
+    });
+    return matches;
+}
+
+// The packages a query is about, for the package results view:
+// [{ pkgName, purls, rows: [{ productName, productVersion, packageVersion }] }],
+// purls being those of the listed rows' components.
+// Component terms pick the packages when there are any, otherwise the plain
+// words are matched against package names and purls like the card search.
+function findPackageMatches(query, catalog) {
+    let components = findComponentTermMatches(query, catalog);
+
+    if (!components) {
+        if (!query.text) return [];
+        components = [];
+        catalog.packageComponents.forEach((list, pkgName) => {
+            const nameMatches = pkgName.includes(query.text);
+            list.forEach(component => {
+                if (nameMatches || component.purls.some(purl => purl.toLowerCase().includes(query.text))) {
+                    components.push({ pkgName: pkgName, purls: component.purls, component: component });
+                }
+            });
+        });
+    }
+
+    const products = new Map(catalog.products.map(p => [p.name, p]));
+    const packages = new Map();
+    components.forEach(({ pkgName, purls, component }) => {
+        const product = products.get(component.productName);
+        if (!product) return;
+
+        filterProductVersions(query, product, component.productVersions).forEach(productVersion => {
+            if (!packages.has(pkgName)) {
+                packages.set(pkgName, { pkgName: pkgName, purls: [], rows: [] });
+            }
+            const pkg = packages.get(pkgName);
+            purls.forEach(purl => {
+                if (!pkg.purls.includes(purl)) pkg.purls.push(purl);
+            });
+            pkg.rows.push({
+                productName: product.name,
+                productVersion: productVersion,
+                packageVersion: component.version
+            });
+        });
+    });
+
+    return Array.from(packages.values())
+        .map(pkg => {
+            pkg.rows.sort((a, b) => a.productName.localeCompare(b.productName) ||
+                compareVersions(b.productVersion, a.productVersion) ||
+                compareVersions(b.packageVersion, a.packageVersion));
+            return pkg;
+        })
+        .sort((a, b) => a.pkgName.localeCompare(b.pkgName));
+}
+
+// Whether the query narrows products down to particular versions
+function hasCatalogVersionTerms(query) {
+    return query.terms.some(term => term.field !== 'product');
+}
+
+// Completions for the token being typed (the last one). Each suggestion's
+// query is the full text to put in the search box. Returns null when the
+// last token is a plain word and the query has no fields, so the caller can
+// fall back to its own suggestions.
+function suggestCatalogQuery(text, catalog) {
+    const tokens = tokenizeCatalogQuery(text);
+    const endsWithSpace = /\s$/.test(text);
+    const last = !endsWithSpace && tokens.length > 0 ? tokens[tokens.length - 1] : null;
+    const prefix = last ? text.slice(0, last.start) : text;
+    const current = last ? last.text : '';
+    const hasFields = tokens.some(token => splitCatalogToken(token.text));
+
+    const parsed = splitCatalogToken(current);
+    if (parsed) {
+        return suggestCatalogValues(parsed.field, parsed.value, prefix, catalog);
+    }
+
+    const fieldSuggestions = Object.entries(CATALOG_QUERY_FIELDS)
+        .filter(([field]) => current && field.startsWith(current.toLowerCase()) && field !== current.toLowerCase())
+        .map(([field, spec]) => ({
+            text: `${field}:`,
+            type: 'Field',
+            icon: '🔣',
+            context: `${spec.label} • e.g. ${spec.example}`,
+            query: `${prefix}${field}:`
+        }));
+
+    if (!hasFields && fieldSuggestions.length === 0) return null;
+    return fieldSuggestions;
+}
+
+function suggestCatalogValues(field, value, prefix, catalog) {
+    const quote = (text) => /\s/.test(text) ? `"${text}"` : text;
+    const make = (completed, type, icon, context) => ({
+        text: `${field}:${completed}`,
+        type: type,
+        icon: icon,
+        context: context,
+        query: `${prefix}${field}:${completed} `
+    });
+    const rank = (candidates, partial) => {
+        const lower = partial.toLowerCase();
+        return candidates
+            .filter(candidate => candidate.key.toLowerCase().includes(lower))
+            .sort((a, b) => {
+                const aStarts = a.key.toLowerCase().startsWith(lower);
+                const bStarts = b.key.toLowerCase().startsWith(lower);
+                if (aStarts !== bStarts) return aStarts ? -1 : 1;
+                return (b.weight || 0) - (a.weight || 0) || a.key.localeCompare(b.key);
+            });
+    };
+
+    if (field === 'product') {
+        return rank(catalog.products.map(p => ({ key: p.name, product: p })), value)
+            .map(({ product }) => make(quote(product.name), 'Product', '📦',
+                `${product.versions.length} version${product.versions.length !== 1 ? 's' : ''}`));
+    }
+
+    if (field === 'version') {
+        const { op, rest } = splitVersionOperator(value);
+        const versions = new Map();
+        catalog.products.forEach(p => p.versions.forEach(v => {
+            if (!versions.has(v.version)) versions.set(v.version, []);
+            versions.get(v.version).push(p.name);
+        }));
+        return rank(Array.from(versions, ([key, products]) => ({ key: key, products: products })), rest)
+            .map(({ key, products }) => make(`${op}${key}`, 'Version', '🏷️',
+                products.length === 1 ? `in ${products[0]}` : `in ${products.length} products`));
+    }
+
+    if (field === 'pkg') {
+        // After "name@", complete the package's versions
+        const at = value.lastIndexOf('@');
+        if (at > 0 && catalog.packageComponents.has(value.slice(0, at).toLowerCase())) {
+            const pkgName = value.slice(0, at).toLowerCase();
+            const { op, rest } = splitVersionOperator(value.slice(at + 1));
+            const versions = new Map();
+            catalog.packageComponents.get(pkgName).forEach(c => {
+                versions.set(c.version, (versions.get(c.version) || 0) + c.productVersions.length);
+            });
+            return rank(Array.from(versions, ([key, count]) => ({ key: key, weight: count })), rest)
+                .map(({ key, weight }) => make(`${pkgName}@${op}${key}`, 'Package version', '📘',
+                    `in ${weight} product version${weight !== 1 ? 's' : ''}`));
+        }
+
+        return rank(Array.from(catalog.packageComponents, ([key, components]) => ({
+            key: key,
+            weight: new Set(components.map(c => c.productName)).size
+        })), value).map(({ key, weight }) => make(key, 'Package', '📘',
+            `in ${weight} product${weight !== 1 ? 's' : ''}`));
+    }
+
+    if (field === 'purl') {
+        const purls = new Set();
+        catalog.packageComponents.forEach(components => components.forEach(c => c.purls.forEach(purl => purls.add(purl))));
+        return rank(Array.from(purls, purl => ({ key: purl })), value).map(({ key }) => make(key, 'Package URL', '🔗', ''));
+    }
+
+    if (field === 'license') {
+        const counts = new Map();
+        catalog.packageComponents.forEach(components => {
+            const licenses = new Set(components.flatMap(c => c.licenses));
+            licenses.forEach(license => counts.set(license, (counts.get(license) || 0) + 1));
+        });
+        return rank(Array.from(counts, ([key, count]) => ({ key: key, weight: count })), value)
+            .map(({ key, weight }) => make(quote(key), 'License', '⚖️',
+                `${weight} package${weight !== 1 ? 's' : ''}`));
+    }
+
+    return [];
+}
+
+// ">=6.2" -> { op: '>=', rest: '6.2' }
+function splitVersionOperator(value) {
+    const match = /^(>=|<=|!=|>|<|=)?(.*)$/.exec(value);
+    return { op: match[1] || '', rest: match[2] };
+}
@@ -3,9 +3,19 @@
 
 let treeData = null;
 let expandedNodes = new Set();
-let filteredTree = null;
 let searchQuery = '';
 let userExpandedAll = false;
+let vulnerabilityFindings = null; // purl / name@version -> findings entry (vulnerabilities.js)
+let vexStatements = null; // VEX statements next to the SBOM, if any
+let treeRows = []; // { node, level } for every row the list would show, top to bottom
+let treeMatches = null; // Node id -> whether the node or anything below it matches treeMatchesQuery
+let treeMatchesQuery = null;
+let treeRowsFrame = null;
+let flashNodeId = null;
+
+// The list only renders the rows in view, so every row has the same height
+const TREE_ROW_HEIGHT = 36;
+const TREE_ROW_OVERSCAN = 15;
 
 // Get SBOM URL from query parameters
 const urlParams = new URLSearchParams(window.location.search);
@@ -15,6 +25,13 @@ const version = urlParams.get('version');
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
+    // The main page's service worker also covers this page, even when it is opened first
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('service-worker.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+
     if (!sbomUrl) {
         showError('No SBOM specified. Please navigate from the main page.');
         return;
@@ -30,18 +47,43 @@ document.addEventListener('DOMContentLoaded', () => {
     document.getElementById('search-input').addEventListener('input', handleSearch);
     document.getElementById('expand-all-btn').addEventListener('click', expandAll);
     document.getElementById('collapse-all-btn').addEventListener('click', collapseAll);
-    document.getElementById('export-btn').addEventListener('click', exportTree);
+    document.getElementById('tree-content').addEventListener('scroll', () => {
+        if (treeRowsFrame) return;
+        treeRowsFrame = requestAnimationFrame(() => {
+            treeRowsFrame = null;
+            renderTreeRows();
+        });
+    });
+    document.getElementById('export-menu').innerHTML = renderTreeExportMenu('exportTree');
+    document.getElementById('export-btn').addEventListener('click', () => {
+        const menu = document.getElementById('export-menu');
+        menu.style.display = menu.style.display === 'none' ? 'block' : 'none';
+    });
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.export-menu-wrapper')) {
+            document.getElementById('export-menu').style.display = 'none';
+        }
+    });
 
     loadAndVisualize();
 });
 
 async function loadAndVisualize() {
     try {
-        const response = await fetch(sbomUrl);
+        // The policy, vulnerability findings and VEX statements only decorate
+        // rows, so a missing one doesn't stop the tree
+        const [response, , findings, vex] = await Promise.all([
+            fetch(sbomUrl),
+            loadLicensePolicy(),
+            loadComponentVulnerabilities(sbomUrl),
+            loadVexStatements(sbomUrl)
+        ]);
         if (!response.ok) throw new Error('Failed to load SBOM');
+        vulnerabilityFindings = findings;
+        vexStatements = vex;
 
         const sbom = await response.json();
-        treeData = parseCycloneDX(sbom);
+        treeData = parseSBOMTree(sbom, productName, version);
 
         if (!treeData || treeData.children.length === 0) {
             showError('No dependency information found in this SBOM.');
@@ -55,164 +97,10 @@ async function loadAndVisualize() {
         renderTree();
         document.getElementById('loading').style.display = 'none';
     } catch (error) {
-        showError(`Error loading SBOM: ${error.message}`);
+        showError(`Error loading SBOM: ${escapeHtml(error.message)}`);
     }
 }
 
-function parseCycloneDX(sbom) {
-    // Parse CycloneDX format to extract dependency tree
-    const components = sbom.components || [];
-    const dependencies = sbom.dependencies || [];
-
-    // Key by bom-ref (not purl): syft's dependency refs use the bom-ref format
-    // which includes a ?package-id=... suffix that purl omits. Using purl as the
-    // key causes every componentMap.get(depRef) lookup to miss.
-    const componentMap = new Map();
-    components.forEach(comp => {
-        const ref = comp['bom-ref'] || comp.purl || comp.name;
-        componentMap.set(ref, {
-            name: comp.name,
-            version: comp.version || 'unknown',
-            type: comp.type || 'library',
-            purl: comp.purl,
-            description: comp.description,
-            licenses: comp.licenses
-        });
-    });
-
-    // Find root ref. When syft scans a directory its metadata.component is the
-    // scan path (no purl, hash bom-ref) rather than the npm package — so we
-    // validate the metadata ref against the dependencies list and fall back to a
-    // topological search: the dep whose ref doesn't appear in any dependsOn list
-    // is the true root of the graph.
-    let rootRef = null;
-    if (sbom.metadata && sbom.metadata.component) {
-        rootRef = sbom.metadata.component.purl || sbom.metadata.component['bom-ref'] || sbom.metadata.component.name;
-    }
-
-    if (!rootRef || !dependencies.some(d => d.ref === rootRef)) {
-        const allDependsOn = new Set();
-        dependencies.forEach(dep => (dep.dependsOn || []).forEach(r => allDependsOn.add(r)));
-        const topLevel = dependencies.find(d => !allDependsOn.has(d.ref));
-        if (topLevel) rootRef = topLevel.ref;
-    }
-
-    if (!rootRef && dependencies.length > 0) {
-        rootRef = dependencies[0].ref;
-    }
-
-    if (!rootRef && components.length > 0) {
-        rootRef = components[0]['bom-ref'] || components[0].purl || components[0].name;
-    }
-
-    // Build tree structure
-    const root = {
-        name: sbom.metadata?.component?.name || productName || 'Root Package',
-        version: sbom.metadata?.component?.version || version || '',
-        children: [],
-        type: 'root',
-        depth: 0,
-        id: 'root'
-    };
-
-    // Build dependency tree
-    const processedRefs = new Set();
-
-    function buildTree(ref, depth = 1, maxDepth = 10) {
-        if (depth > maxDepth || processedRefs.has(ref)) {
-            return null;
-        }
-        processedRefs.add(ref);
-
-        const component = componentMap.get(ref);
-        if (!component) return null;
-
-        const node = {
-            name: component.name,
-            version: component.version,
-            type: depth === 1 ? 'direct' : 'transitive',
-            depth: depth,
-            purl: component.purl,
-            description: component.description,
-            licenses: component.licenses,
-            children: [],
-            id: `${component.name}@${component.version}-${depth}`
-        };
-
-        // Find dependencies of this component
-        const dep = dependencies.find(d => d.ref === ref);
-        if (dep && dep.dependsOn) {
-            dep.dependsOn.forEach(childRef => {
-                const childNode = buildTree(childRef, depth + 1, maxDepth);
-                if (childNode) {
-                    node.children.push(childNode);
-                }
-            });
-        }
-
-        return node;
-    }
-
-    // Add direct dependencies to root
-    if (dependencies.length > 0) {
-        // Expand ALL topological roots, not just the first one. Artifacts like
-        // DotNet packages produce multiple disconnected subgraphs (one per
-        // assembly/deps.json); picking only the first root silently drops the rest.
-        const allDependsOnRefs = new Set();
-        dependencies.forEach(dep => (dep.dependsOn || []).forEach(r => allDependsOnRefs.add(r)));
-        const rootDeps = dependencies.filter(d => !allDependsOnRefs.has(d.ref));
-
-        rootDeps.forEach(rootDep => {
-            if (rootDep && rootDep.dependsOn) {
-                rootDep.dependsOn.forEach(depRef => {
-                    const childNode = buildTree(depRef, 1);
-                    if (childNode) {
-                        root.children.push(childNode);
-                    }
-                });
-            }
-        });
-    }
-
-    // Append any components not reachable through the dependency graph.
-    // These are leaf assemblies syft found via binary/PE scanning but couldn't
-    // connect to a dependency root (common in DotNet nupkg scans).
-    components.forEach((comp, i) => {
-        const ref = comp['bom-ref'] || comp.purl || comp.name;
-        if (!processedRefs.has(ref)) {
-            root.children.push({
-                name: comp.name,
-                version: comp.version || 'unknown',
-                type: 'direct',
-                depth: 1,
-                purl: comp.purl,
-                description: comp.description,
-                licenses: comp.licenses,
-                children: [],
-                id: `${comp.name}@${comp.version || 'unknown'}-1-${i}`
-            });
-        }
-    });
-
-    // Deduplicate nodes with identical name@version at each tree level.
-    // Common in DotNet nupkg scans where syft's PE cataloger emits one entry
-    // per platform-specific DLL that all embed the same product name/version.
-    function deduplicateChildren(node) {
-        if (!node.children || node.children.length === 0) return;
-        const seen = new Map();
-        node.children = node.children.filter(child => {
-            const key = `${child.name}@${child.version}`;
-            if (seen.has(key)) return false;
-            seen.set(key, true);
-            return true;
-        });
-        node.children.forEach(deduplicateChildren);
-    }
-    deduplicateChildren(root);
-
-    return root;
-}
-
 function getNodeId(node) {
     return node.id || `${node.name}@${node.version}-${node.depth || 0}`;
 }
@@ -224,6 +112,7 @@ function updateStats(tree) {
     let transitiveDeps = 0;
 
     function countNodes(node) {
+        if (node.backRef) return;
         totalPackages++;
         if (node.type === 'direct') directDeps++;
         if (node.type === 'transitive') transitiveDeps++;
@@ -257,15 +146,25 @@ function matchesSearch(node) {
     return matchesName || matchesVersion || matchesDescription;
 }
 
-function hasMatchingChild(node) {
-    if (!node.children || node.children.length === 0) return false;
-
-    for (const child of node.children) {
-        if (matchesSearch(child) || hasMatchingChild(child)) {
-            return true;
-        }
+// Whether the node or anything below it matches the search. The whole tree is
+// checked once per query, so filtering stays linear in the number of nodes.
+function subtreeMatchesSearch(node) {
+    if (!searchQuery) return true;
+    if (treeMatchesQuery !== searchQuery) {
+        treeMatches = new Map();
+        treeMatchesQuery = searchQuery;
+        collectTreeMatches(treeData);
     }
-    return false;
+    return treeMatches.get(getNodeId(node)) || false;
+}
+
+function collectTreeMatches(node) {
+    let matches = matchesSearch(node);
+    node.children.forEach(child => {
+        if (collectTreeMatches(child)) matches = true;
+    });
+    treeMatches.set(getNodeId(node), matches);
+    return matches;
 }
 
 function renderTree() {
@@ -281,8 +180,46 @@ function renderTree() {
         expandMatchingPaths(treeData);
     }
 
-    const html = renderNode(treeData, 0);
-    container.innerHTML = html;
+    treeRows = buildTreeRows();
+    if (treeRows.length === 0) {
+        container.innerHTML = '<div class="tree-empty">No packages match your search</div>';
+        return;
+    }
+    if (!container.querySelector('.tree-rows')) {
+        container.innerHTML = '<div class="tree-rows"><div class="tree-rows-window"></div></div>';
+    }
+    container.querySelector('.tree-rows').style.height = `${treeRows.length * TREE_ROW_HEIGHT}px`;
+    renderTreeRows();
+}
+
+// Flatten the expanded part of the tree into the rows the list shows
+function buildTreeRows() {
+    const rows = [];
+
+    function addRows(node, level) {
+        if (searchQuery && !subtreeMatchesSearch(node)) return;
+        rows.push({ node: node, level: level });
+        if (expandedNodes.has(getNodeId(node))) {
+            node.children.forEach(child => addRows(child, level + 1));
+        }
+    }
+    addRows(treeData, 0);
+
+    return rows;
+}
+
+// Draw the rows in view (plus a few either side) into the scrolled window
+function renderTreeRows() {
+    const container = document.getElementById('tree-content');
+    const rowWindow = container.querySelector('.tree-rows-window');
+    if (!rowWindow) return;
+
+    const viewHeight = container.clientHeight || window.innerHeight;
+    const first = Math.max(0, Math.floor(container.scrollTop / TREE_ROW_HEIGHT) - TREE_ROW_OVERSCAN);
+    const last = Math.min(treeRows.length, Math.ceil((container.scrollTop + viewHeight) / TREE_ROW_HEIGHT) + TREE_ROW_OVERSCAN);
+
+    rowWindow.style.transform = `translateY(${first * TREE_ROW_HEIGHT}px)`;
+    rowWindow.innerHTML = treeRows.slice(first, last).map(renderTreeRow).join('');
 }
 
 function expandMatchingPaths(node) {
@@ -290,37 +227,48 @@ function expandMatchingPaths(node) {
         expandedNodes.add(getNodeId(node));
     }
 
-    if (node.children && node.children.length > 0) {
-        const hasMatch = node.children.some(child =>
-            matchesSearch(child) || hasMatchingChild(child)
-        );
-
-        if (hasMatch) {
-            expandedNodes.add(getNodeId(node));
-            node.children.forEach(expandMatchingPaths);
-        }
+    const matchingChildren = node.children.filter(subtreeMatchesSearch);
+    if (matchingChildren.length > 0) {
+        expandedNodes.add(getNodeId(node));
+        matchingChildren.forEach(expandMatchingPaths);
     }
 }
 
-function renderNode(node, level) {
+// One fixed-height row; license, advisories, VEX statements and description
+// share the line after the name and are cut off with an ellipsis
+function renderTreeRow({ node, level }) {
     const nodeId = getNodeId(node);
     const isExpanded = expandedNodes.has(nodeId);
-    const hasChildren = node.children && node.children.length > 0;
-
-    // Check if node or its children match search
-    const nodeMatches = matchesSearch(node);
-    const childMatches = hasMatchingChild(node);
-
-    // Hide if doesn't match search
-    if (searchQuery && !nodeMatches && !childMatches) {
-        return '';
+    const hasChildren = node.children.length > 0;
+
+    const classes = [
+        'tree-node',
+        'tree-row',
+        searchQuery && matchesSearch(node) ? 'highlight' : '',
+        nodeId === flashNodeId ? 'flash' : ''
+    ].filter(Boolean).join(' ');
+    const attribute = (text) => escapeHtml(text).replace(/"/g, '&quot;');
+
+    // Shared dependency already expanded elsewhere in the tree
+    if (node.backRef) {
+        return `
+            <div class="${classes} back-ref" data-node-id="${escapeHtml(nodeId)}" style="padding-left: ${level * 24}px;">
+                <div class="node-content" onclick="jumpToNode('${escapeHtml(node.backRef)}')" title="Jump to ${escapeHtml(node.name)}@${escapeHtml(node.version)}">
+                    <span class="node-toggle node-empty">↪</span>
+                    <span class="node-name">${escapeHtml(node.name)}</span>
+                    <span class="node-version">@${escapeHtml(node.version)}</span>
+                    <span class="node-back-ref-note">(shown above)</span>
+                </div>
+            </div>
+        `;
     }
 
-    // Highlight if matches search
-    const highlightClass = searchQuery && nodeMatches ? 'highlight' : '';
+    const vulnerabilities = getComponentVulnerabilities(vulnerabilityFindings, node);
+    const vex = getComponentVexStatements(vexStatements, node);
+    const licenseNames = getComponentLicenseNames(node.licenses);
 
-    let html = `
-        <div class="tree-node ${highlightClass}" style="padding-left: ${level * 24}px;">
+    return `
+        <div class="${classes}" data-node-id="${escapeHtml(nodeId)}" style="padding-left: ${level * 24}px;">
             <div class="node-content" onclick="toggleNode('${escapeHtml(nodeId)}')">
                 ${hasChildren ? `
                     <span class="node-toggle">
@@ -341,30 +289,23 @@ function renderNode(node, level) {
                 ${hasChildren ? `
                     <span class="node-count">(${node.children.length})</span>
                 ` : ''}
-            </div>
-
-            ${node.description ? `
-                <div class="node-description">${escapeHtml(node.description.substring(0, 100))}${node.description.length > 100 ? '...' : ''}</div>
-            ` : ''}
 
-            ${node.licenses && node.licenses.length > 0 ? `
-                <div class="node-license">
-                    License: ${node.licenses.map(l => l.license?.name || l.license?.id || 'Unknown').join(', ')}
-                </div>
-            ` : ''}
+                ${renderVulnerabilityBadge(vulnerabilities)}
+                ${renderVexBadge(vex)}
+
+                <span class="node-row-details">
+                    ${licenseNames.length > 0 ? `<span class="node-license" title="License: ${attribute(licenseNames.join(', '))}">${renderLicenseNames(licenseNames)}</span>` : ''}
+                    ${vulnerabilities ? `
+                        <span class="node-vulnerabilities">
+                            ${vulnerabilities.vulnerabilities.map(v => `<a href="${attribute(v.url)}" target="_blank" rel="noopener" onclick="event.stopPropagation()">${escapeHtml(v.id)}</a>`).join(', ')}
+                        </span>
+                    ` : ''}
+                    ${vex.length > 0 ? `<span class="node-vex">${vex.map(renderVexStatement).join('')}</span>` : ''}
+                    ${node.description ? `<span class="node-description" title="${attribute(node.description)}">${escapeHtml(node.description)}</span>` : ''}
+                </span>
+            </div>
         </div>
     `;
-
-    // Render children if expanded
-    if (hasChildren && isExpanded) {
-        html += '<div class="node-children">';
-        node.children.forEach(child => {
-            html += renderNode(child, level + 1);
-        });
-        html += '</div>';
-    }
-
-    return html;
 }
 
 function toggleNode(nodeId) {
@@ -377,6 +318,34 @@ function toggleNode(nodeId) {
     renderTree();
 }
 
+function jumpToNode(nodeId) {
+    const path = findTreeNodePath(treeData, nodeId);
+    if (!path) return;
+
+    // Clear a search that would hide the target
+    if (searchQuery && !matchesSearch(path[path.length - 1])) {
+        searchQuery = '';
+        document.getElementById('search-input').value = '';
+    }
+
+    userExpandedAll = false;
+    path.slice(0, -1).forEach(node => expandedNodes.add(getNodeId(node)));
+    renderTree();
+
+    const index = treeRows.findIndex(row => getNodeId(row.node) === nodeId);
+    if (index === -1) return;
+
+    // The row may not be drawn yet; scroll it to the middle and draw it flashing
+    const container = document.getElementById('tree-content');
+    container.scrollTop = Math.max(0, index * TREE_ROW_HEIGHT - (container.clientHeight - TREE_ROW_HEIGHT) / 2);
+    flashNodeId = nodeId;
+    renderTreeRows();
+    setTimeout(() => {
+        flashNodeId = null;
+        renderTreeRows();
+    }, 1500);
+}
+
 function expandAll() {
     userExpandedAll = true;
     function addAllNodes(node) {
@@ -397,37 +366,15 @@ function collapseAll() {
     renderTree();
 }
 
-function exportTree() {
-    // Export tree as text
-    let text = '';
-
-    function exportNode(node, prefix = '', isLast = true) {
-        const connector = isLast ? '└── ' : '├── ';
-        const childPrefix = isLast ? '    ' : '│   ';
-
-        text += prefix + connector + node.name;
-        if (node.version) text += `@${node.version}`;
-        text += '\n';
-
-        if (node.children && node.children.length > 0) {
-            node.children.forEach((child, i) => {
-                exportNode(child, prefix + childPrefix, i === node.children.length - 1);
-            });
-        }
-    }
+function exportTree(format) {
+    const menu = document.getElementById('export-menu');
+    const filteredOnly = menu.querySelector('.export-filtered-toggle').checked;
+    const tree = filteredOnly && searchQuery
+        ? filterTreeForExport(treeData, matchesSearch)
+        : treeData;
 
-    exportNode(treeData);
-
-    // Download as text file
-    const blob = new Blob([text], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${productName}-${version}-dependency-tree.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadTreeExport(tree, format, `${productName}-${version}`);
+    menu.style.display = 'none';
 }
 
 function showError(message) {
@@ -0,0 +1,221 @@
+// License Policy - classifies licenses with config/license-policy.json
+// Shared by the main page (version license summaries, tree modal) and the
+// standalone tree page. build-site.js copies the policy to docs/license-policy.json.
+// The build scripts require() this file too, so license names are normalized
+// the same way in the site, the license summary and the third-party notices.
+//
+// Each license is allowed, review or denied. SPDX expressions take the best
+// choice of an OR and the worst part of an AND. Without a policy nothing is
+// classified and licenses render uncolored.
+
+const LICENSE_STATUS_ORDER = { allowed: 0, review: 1, denied: 2 };
+const LICENSE_STATUS_LABELS = { allowed: 'Allowed', review: 'Needs review', denied: 'Denied' };
+const LICENSE_ID_PATTERN = /^[A-Za-z0-9.+:-]+$/;
+
+let licensePolicy = null; // Compiled policy, or null until loaded (or when missing)
+
+// Fetch and compile the policy; resolves to null if it can't be loaded
+async function loadLicensePolicy() {
+    try {
+        const response = await fetch('license-policy.json');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        setLicensePolicy(await response.json());
+    } catch (error) {
+        console.warn('License policy not loaded:', error.message);
+        licensePolicy = null;
+    }
+    return licensePolicy;
+}
+
+// Compile and use a policy object (or none); the build scripts call this with
+// config/license-policy.json instead of fetching it
+function setLicensePolicy(policy) {
+    licensePolicy = policy ? compileLicensePolicy(policy) : null;
+    return licensePolicy;
+}
+
+// Exact entries (no *) are kept apart so they can win over wildcards, e.g. a
+// reviewed "GPL-2.0-only WITH Classpath-exception-2.0" over a denied "GPL-*"
+function compileLicensePolicy(policy) {
+    const exact = new Map();
+    const compile = (status) => (policy[status] || [])
+        .filter(pattern => {
+            if (pattern.includes('*')) return true;
+            exact.set(pattern.toLowerCase(), status);
+            return false;
+        })
+        .map(pattern => new RegExp(
+            `^${pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i'));
+    const aliases = new Map(Object.entries(policy.aliases || {})
+        .map(([name, id]) => [name.toLowerCase(), id]));
+
+    return {
+        denied: compile('denied'),
+        review: compile('review'),
+        allowed: compile('allowed'),
+        exact: exact,
+        unlisted: LICENSE_STATUS_ORDER[policy.unlisted] !== undefined ? policy.unlisted : 'review',
+        missing: LICENSE_STATUS_ORDER[policy.missing] !== undefined ? policy.missing : 'review',
+        aliases: aliases
+    };
+}
+
+// Tidy a license string from an SBOM: unwrap Maven's `"Name";link="..."` and
+// `URL;description=...` forms and apply the policy's aliases. License text
+// hashes (`sha256:...`) carry no name and come back as null.
+function normalizeLicense(license) {
+    let text = String(license || '').trim();
+
+    const quoted = /^"([^"]*)"\s*;/.exec(text);
+    if (quoted) text = quoted[1].trim();
+    text = text.replace(/;\s*description=.*$/, '').trim();
+
+    if (!text || /^sha256:/i.test(text)) return null;
+
+    const alias = licensePolicy && licensePolicy.aliases.get(text.toLowerCase());
+    return alias || text;
+}
+
+// Display names for a component's CycloneDX (or converted SPDX) license entries
+function getComponentLicenseNames(licenses) {
+    const names = [];
+    (licenses || []).forEach(l => {
+        const name = normalizeLicense(l.expression || l.license?.id || l.license?.name);
+        if (name && !names.includes(name)) names.push(name);
+    });
+    return names;
+}
+
+// 'allowed' | 'review' | 'denied' for a normalized license, or null without a policy
+function classifyLicense(license) {
+    if (!licensePolicy) return null;
+    if (!license) return licensePolicy.missing;
+
+    // Only treat it as an expression when every token looks like an SPDX id
+    const tokens = license.replace(/[()]/g, ' $& ').split(/\s+/).filter(Boolean);
+    const isExpression = tokens.some(token => /^(AND|OR|WITH)$/i.test(token)) &&
+        tokens.every(token => /^[()]$/.test(token) || LICENSE_ID_PATTERN.test(token));
+
+    if (isExpression) {
+        const status = classifyLicenseExpression(tokens);
+        if (status) return status;
+    }
+    return classifyLicenseId(license);
+}
+
+function classifyLicenseId(license) {
+    return matchLicensePolicy(license) || licensePolicy.unlisted;
+}
+
+// The status the policy lists a license under, or null when it isn't listed
+function matchLicensePolicy(license) {
+    const id = licensePolicy.aliases.get(license.toLowerCase()) || license;
+    if (licensePolicy.exact.has(id.toLowerCase())) {
+        return licensePolicy.exact.get(id.toLowerCase());
+    }
+    for (const status of ['denied', 'review', 'allowed']) {
+        if (licensePolicy[status].some(pattern => pattern.test(id))) return status;
+    }
+    return null;
+}
+
+// Recursive descent over `a OR b AND (c WITH d)`; AND binds tighter than OR.
+// Returns null on a malformed expression so the caller can fall back.
+function classifyLicenseExpression(tokens) {
+    let position = 0;
+    const worst = (a, b) => LICENSE_STATUS_ORDER[a] >= LICENSE_STATUS_ORDER[b] ? a : b;
+    const best = (a, b) => LICENSE_STATUS_ORDER[a] <= LICENSE_STATUS_ORDER[b] ? a : b;
+    const peek = () => (tokens[position] || '').toUpperCase();
+
+    function parseOr() {
+        let status = parseAnd();
+        while (status && peek() === 'OR') {
+            position++;
+            const right = parseAnd();
+            status = right && best(status, right);
+        }
+        return status;
+    }
+
+    function parseAnd() {
+        let status = parseWith();
+        while (status && peek() === 'AND') {
+            position++;
+            const right = parseWith();
+            status = right && worst(status, right);
+        }
+        return status;
+    }
+
+    // "id WITH exception" as listed in the policy, otherwise as the license alone
+    function parseWith() {
+        const start = position;
+        const status = parseAtom();
+        if (status && peek() === 'WITH') {
+            const exception = tokens[position + 1];
+            position += 2;
+            if (!exception || tokens[start] === '(') return status;
+            return matchLicensePolicy(`${tokens[start]} WITH ${exception}`) || status;
+        }
+        return status;
+    }
+
+    function parseAtom() {
+        const token = tokens[position++];
+        if (token === '(') {
+            const status = parseOr();
+            return tokens[position++] === ')' ? status : null;
+        }
+        if (!token || token === ')' || /^(AND|OR|WITH)$/i.test(token)) return null;
+        return classifyLicenseId(token);
+    }
+
+    const status = parseOr();
+    return position === tokens.length ? status : null;
+}
+
+// Aggregate a license-summary.json entry: counts per normalized license,
+// most common first, with the unknown bucket. The totals are components per
+// status as classified by build-site.js (the worst of each component's licenses).
+function summarizeLicenses(summary) {
+    const counts = new Map();
+    let unknown = summary.unknown || 0;
+
+    Object.entries(summary.licenses || {}).forEach(([license, count]) => {
+        const name = normalizeLicense(license);
+        if (name) {
+            counts.set(name, (counts.get(name) || 0) + count);
+        } else {
+            unknown += count;
+        }
+    });
+
+    const entries = Array.from(counts, ([license, count]) => ({
+        license: license,
+        count: count,
+        status: classifyLicense(license)
+    })).sort((a, b) => b.count - a.count || a.license.localeCompare(b.license));
+
+    return {
+        components: summary.components || 0,
+        entries: entries,
+        unknown: { count: unknown, status: unknown > 0 ? classifyLicense(null) : null },
+        totals: Object.assign({ allowed: 0, review: 0, denied: 0 }, licensePolicy ? summary.statuses : null)
+    };
+}
+
+// Inline markup for a list of license names, each colored by its status
+function renderLicenseNames(names) {
+    return names.map(name => {
+        const status = classifyLicense(name);
+        const title = status ? ` title="${LICENSE_STATUS_LABELS[status]} by license policy"` : '';
+        return `<span class="license-name${status ? ` license-${status}` : ''}"${title}>${escapeHtml(name)}</span>`;
+    }).join(', ');
+}
+
+// Loaded with require() by the build scripts; a plain script in the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { setLicensePolicy, normalizeLicense, getComponentLicenseNames, classifyLicense, LICENSE_STATUS_ORDER };
+}
@@ -0,0 +1,422 @@
+// SBOM Parser - shared by the main page tree modal and the standalone tree page
+// Turns CycloneDX or SPDX JSON into the node structure the tree views render:
+// { name, version, type: 'root' | 'direct' | 'transitive', depth, purl, description, licenses, children, id }
+// A package reached again through another parent becomes a back-reference node
+// with no children and backRef set to the id of the node where it is expanded.
+// children is built on first access, so walking the whole tree is what costs.
+// The root also carries the graph it was built from (root.graph) for path queries;
+// each component in root.graph.componentMap keeps the remaining SBOM fields as details.
+
+// Pick the parser for an SBOM document
+function parseSBOMTree(sbom, productName, version) {
+    const graph = parseSBOMGraph(sbom, productName, version);
+    return buildDependencyTree(graph.componentMap, graph.dependsOn, graph.rootInfo);
+}
+
+// The format-independent graph a tree is built from: { componentMap, dependsOn, rootInfo }.
+// Plain Maps and objects, so sbom-worker.js can post it back to the page.
+function parseSBOMGraph(sbom, productName, version) {
+    // Reported as the load error rather than as an empty tree
+    const failure = getSbomGenerationError(sbom);
+    if (failure) {
+        throw new Error(failure);
+    }
+    if (sbom.spdxVersion) {
+        return parseSPDX(sbom, productName, version);
+    }
+    return parseCycloneDX(sbom, productName, version);
+}
+
+// The reason in the {"error": ...} stub fetch-and-generate.sh writes when
+// syft fails, or null for a real SBOM
+function getSbomGenerationError(sbom) {
+    if (!sbom || sbom.spdxVersion || sbom.bomFormat) return null;
+    return typeof sbom.error === 'string' ? sbom.error : null;
+}
+
+function parseCycloneDX(sbom, productName, version) {
+    const components = sbom.components || [];
+    const dependencies = sbom.dependencies || [];
+
+    // Key by bom-ref first: syft's dependency refs use bom-ref format
+    // (purl + ?package-id=...) which plain purl omits, causing lookups to miss.
+    const componentMap = new Map();
+    components.forEach(comp => {
+        const ref = comp['bom-ref'] || comp.purl || comp.name;
+        componentMap.set(ref, {
+            name: comp.name,
+            version: comp.version || 'unknown',
+            type: comp.type || 'library',
+            purl: comp.purl,
+            description: comp.description,
+            licenses: comp.licenses,
+            details: {
+                group: comp.group,
+                cpes: comp.cpe ? [comp.cpe] : [],
+                author: comp.author,
+                supplier: comp.supplier?.name,
+                publisher: comp.publisher,
+                hashes: comp.hashes || [],
+                externalReferences: comp.externalReferences || [],
+                properties: comp.properties || []
+            }
+        });
+    });
+
+    const dependsOn = new Map();
+    dependencies.forEach(dep => {
+        if (!dependsOn.has(dep.ref)) {
+            dependsOn.set(dep.ref, dep.dependsOn || []);
+        }
+    });
+
+    return {
+        componentMap: componentMap,
+        dependsOn: dependsOn,
+        rootInfo: {
+            name: sbom.metadata?.component?.name || productName || 'Root Package',
+            version: sbom.metadata?.component?.version || version || ''
+        }
+    };
+}
+
+function parseSPDX(sbom, productName, version) {
+    const packages = sbom.packages || [];
+    const relationships = sbom.relationships || [];
+    const isAsserted = (value) => value && value !== 'NOASSERTION' && value !== 'NONE';
+
+    // Elements the document DESCRIBES are the tree root, like metadata.component
+    // in CycloneDX, so they are not listed as packages themselves
+    const describedIds = new Set(sbom.documentDescribes || []);
+    relationships.forEach(rel => {
+        if (rel.relationshipType === 'DESCRIBES' && rel.spdxElementId === sbom.SPDXID) {
+            describedIds.add(rel.relatedSpdxElement);
+        }
+    });
+
+    const componentMap = new Map();
+    packages.forEach(pkg => {
+        if (describedIds.has(pkg.SPDXID)) return;
+
+        const externalRefs = pkg.externalRefs || [];
+        const purlRef = externalRefs.find(ref => ref.referenceType === 'purl');
+        const license = [pkg.licenseDeclared, pkg.licenseConcluded].find(isAsserted);
+        const stripActor = (value) => isAsserted(value) ? value.replace(/^(Person|Organization|Tool):\s*/, '') : undefined;
+
+        // Reshape SPDX fields to the CycloneDX names used for details
+        const references = externalRefs
+            .filter(ref => ref.referenceType !== 'purl' && !ref.referenceType.startsWith('cpe'))
+            .map(ref => ({ type: ref.referenceType, url: ref.referenceLocator }));
+        if (isAsserted(pkg.homepage)) references.push({ type: 'website', url: pkg.homepage });
+        if (isAsserted(pkg.downloadLocation)) references.push({ type: 'distribution', url: pkg.downloadLocation });
+
+        componentMap.set(pkg.SPDXID, {
+            name: pkg.name,
+            version: pkg.versionInfo || 'unknown',
+            type: 'library',
+            purl: purlRef ? purlRef.referenceLocator : undefined,
+            description: pkg.description || pkg.summary,
+            licenses: license ? [{ license: { name: license } }] : undefined,
+            details: {
+                cpes: externalRefs.filter(ref => ref.referenceType.startsWith('cpe')).map(ref => ref.referenceLocator),
+                author: stripActor(pkg.originator),
+                supplier: stripActor(pkg.supplier),
+                hashes: (pkg.checksums || []).map(c => ({ alg: c.algorithm, content: c.checksumValue })),
+                externalReferences: references,
+                properties: pkg.sourceInfo ? [{ name: 'spdx:sourceInfo', value: pkg.sourceInfo }] : []
+            }
+        });
+    });
+
+    const dependsOn = new Map();
+    const addEdge = (from, to) => {
+        if (!dependsOn.has(from)) dependsOn.set(from, []);
+        dependsOn.get(from).push(to);
+    };
+
+    // syft writes "A DEPENDENCY_OF B" rather than "B DEPENDS_ON A"
+    const dependedOn = new Set();
+    relationships.forEach(rel => {
+        if (rel.relationshipType === 'DEPENDS_ON') {
+            addEdge(rel.spdxElementId, rel.relatedSpdxElement);
+            dependedOn.add(rel.relatedSpdxElement);
+        } else if (rel.relationshipType === 'DEPENDENCY_OF') {
+            addEdge(rel.relatedSpdxElement, rel.spdxElementId);
+            dependedOn.add(rel.spdxElementId);
+        }
+    });
+
+    // A document root CONTAINS every package it found; only packages nothing
+    // else depends on hang off it, the rest stay under their dependents
+    relationships.forEach(rel => {
+        if (rel.relationshipType === 'CONTAINS' && !dependedOn.has(rel.relatedSpdxElement)) {
+            addEdge(rel.spdxElementId, rel.relatedSpdxElement);
+        }
+    });
+
+    // syft names the described element after the scanned path, so prefer the product
+    const described = packages.find(pkg => describedIds.has(pkg.SPDXID));
+    return {
+        componentMap: componentMap,
+        dependsOn: dependsOn,
+        rootInfo: {
+            name: productName || described?.name || sbom.name || 'Root Package',
+            version: version || described?.versionInfo || ''
+        }
+    };
+}
+
+// Build the tree from components keyed by ref and a ref -> dependsOn refs map.
+// Each package is expanded once, under the parent closest to the root; every
+// other parent lists it as a back-reference. Children are only built when a
+// node's children are first read, so large graphs load level by level.
+function buildDependencyTree(componentMap, dependsOn, rootInfo) {
+    const root = {
+        name: rootInfo.name,
+        version: rootInfo.version,
+        children: [],
+        type: 'root',
+        depth: 0,
+        id: 'root'
+    };
+
+    const nodeIdsByRef = new Map();
+    const placement = new Map();
+    const placedUnder = new Map([['root', []]]);
+    const labelsUnder = new Map([['root', new Set()]]);
+    const usedIds = new Set();
+    const getDependencies = (ref) => Array.from(new Set(dependsOn.get(ref) || []))
+        .filter(childRef => componentMap.has(childRef));
+
+    // Breadth-first, so each package sits at its shortest distance from the root.
+    // A package with the same name@version as a sibling (e.g. per-platform DLLs in
+    // DotNet nupkg scans) shares that sibling's node instead of getting its own.
+    const queue = [];
+    function place(ref, parent) {
+        if (nodeIdsByRef.has(ref)) return;
+
+        const component = componentMap.get(ref);
+        const label = `${component.name}@${component.version}`;
+        const siblings = placedUnder.get(parent);
+        if (labelsUnder.get(parent).has(label)) {
+            const sibling = siblings.find(siblingRef => {
+                const other = componentMap.get(siblingRef);
+                return `${other.name}@${other.version}` === label;
+            });
+            nodeIdsByRef.set(ref, nodeIdsByRef.get(sibling));
+            return;
+        }
+
+        const depth = parent === 'root' ? 1 : placement.get(parent).depth + 1;
+        let id = `${label}-${depth}`;
+        if (usedIds.has(id)) {
+            id = `${id}-${usedIds.size}`;
+        }
+        usedIds.add(id);
+
+        nodeIdsByRef.set(ref, id);
+        placement.set(ref, { parent: parent, depth: depth });
+        siblings.push(ref);
+        labelsUnder.get(parent).add(label);
+        placedUnder.set(ref, []);
+        labelsUnder.set(ref, new Set());
+        queue.push(ref);
+    }
+    function placeQueued() {
+        while (queue.length > 0) {
+            const ref = queue.shift();
+            getDependencies(ref).forEach(childRef => place(childRef, ref));
+        }
+    }
+
+    // Expand ALL topological roots, not just the first one. Artifacts like
+    // DotNet packages produce multiple disconnected subgraphs (one per
+    // assembly/deps.json); picking only the first root silently drops the rest.
+    const allDependsOnRefs = new Set();
+    dependsOn.forEach(refs => refs.forEach(r => allDependsOnRefs.add(r)));
+
+    dependsOn.forEach((refs, ref) => {
+        if (allDependsOnRefs.has(ref)) return;
+        refs.forEach(depRef => {
+            if (componentMap.has(depRef)) place(depRef, 'root');
+        });
+    });
+    placeQueued();
+
+    // Append any components not reachable through the dependency graph.
+    // These are leaf assemblies syft found via binary/PE scanning but couldn't
+    // connect to a dependency root (common in DotNet nupkg scans).
+    componentMap.forEach((component, ref) => {
+        place(ref, 'root');
+        placeQueued();
+    });
+
+    function createNode(ref) {
+        const component = componentMap.get(ref);
+        const { depth } = placement.get(ref);
+        const node = {
+            name: component.name,
+            version: component.version,
+            type: depth === 1 ? 'direct' : 'transitive',
+            depth: depth,
+            purl: component.purl,
+            description: component.description,
+            licenses: component.licenses,
+            ref: ref,
+            id: nodeIdsByRef.get(ref)
+        };
+        defineLazyChildren(node, () => createChildren(node));
+        return node;
+    }
+
+    // Back-references are dropped when a sibling already shows the same name@version
+    function createChildren(node) {
+        const expanded = new Set(placedUnder.get(node.ref).map(childRef => {
+            const child = componentMap.get(childRef);
+            return `${child.name}@${child.version}`;
+        }));
+        const children = [];
+        getDependencies(node.ref).forEach(childRef => {
+            if (placement.get(childRef)?.parent === node.ref) {
+                children.push(createNode(childRef));
+                return;
+            }
+
+            const component = componentMap.get(childRef);
+            const label = `${component.name}@${component.version}`;
+            if (expanded.has(label)) return;
+            expanded.add(label);
+
+            const backRef = nodeIdsByRef.get(childRef);
+            children.push({
+                name: component.name,
+                version: component.version,
+                type: 'transitive',
+                depth: node.depth + 1,
+                purl: component.purl,
+                description: component.description,
+                licenses: component.licenses,
+                children: [],
+                ref: childRef,
+                backRef: backRef,
+                id: `${node.id}>${backRef}`
+            });
+        });
+        return children;
+    }
+
+    root.children = placedUnder.get('root').map(createNode);
+    root.graph = { componentMap, dependsOn, nodeIdsByRef, placement };
+    return root;
+}
+
+// children is a getter that builds the list on first read and keeps it
+function defineLazyChildren(node, build) {
+    let children = null;
+    Object.defineProperty(node, 'children', {
+        enumerable: true,
+        configurable: true,
+        get() {
+            if (!children) children = build();
+            return children;
+        },
+        set(value) {
+            children = value;
+        }
+    });
+}
+
+// Nodes from the root down to the expanded (non back-reference) node with this id,
+// building only the levels along the way
+function findTreeNodePath(tree, nodeId) {
+    if (nodeId === tree.id) return [tree];
+
+    const { nodeIdsByRef, placement } = tree.graph;
+    let ref = null;
+    for (const [candidate, id] of nodeIdsByRef) {
+        if (id === nodeId && placement.has(candidate)) {
+            ref = candidate;
+            break;
+        }
+    }
+    if (!ref) return null;
+
+    const refs = [];
+    for (let current = ref; current !== 'root'; current = placement.get(current).parent) {
+        refs.unshift(current);
+    }
+
+    const path = [tree];
+    for (const current of refs) {
+        const child = path[path.length - 1].children.find(c => c.ref === current && !c.backRef);
+        if (!child) return null;
+        path.push(child);
+    }
+    return path;
+}
+
+// Every chain of refs from a top-level dependency down to ref, following the
+// full dependsOn graph rather than the deduplicated tree.
+// Stops after limit paths, or after maxVisits steps since densely linked graphs
+// have more chains than can be walked; truncated tells the caller there may be more.
+function findDependencyPaths(tree, ref, limit = 100, maxVisits = 20000) {
+    const { dependsOn } = tree.graph;
+
+    const parents = new Map();
+    const allDependsOnRefs = new Set();
+    dependsOn.forEach((refs, parentRef) => {
+        refs.forEach(childRef => {
+            allDependsOnRefs.add(childRef);
+            if (!parents.has(childRef)) parents.set(childRef, []);
+            parents.get(childRef).push(parentRef);
+        });
+    });
+
+    const paths = [];
+    let truncated = false;
+    let visits = 0;
+
+    // Walk upwards; a topological root is the (hidden) parent of top-level dependencies
+    function walk(current, chain, onChain) {
+        if (paths.length >= limit || ++visits > maxVisits) {
+            truncated = true;
+            return;
+        }
+
+        const parentRefs = parents.get(current) || [];
+        if (parentRefs.length === 0) {
+            paths.push(chain);
+            return;
+        }
+
+        parentRefs.forEach(parentRef => {
+            if (truncated || paths.length >= limit) {
+                truncated = true;
+                return;
+            }
+            if (!allDependsOnRefs.has(parentRef)) {
+                paths.push(chain);
+            } else if (!onChain.has(parentRef)) {
+                onChain.add(parentRef);
+                walk(parentRef, [parentRef, ...chain], onChain);
+                onChain.delete(parentRef);
+            }
+        });
+    }
+
+    walk(ref, [ref], new Set([ref]));
+
+    // Several topological roots can list the same package; keep each chain once
+    const seen = new Set();
+    return {
+        paths: paths
+            .filter(chain => {
+                const key = chain.join('\n');
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .sort((a, b) => a.length - b.length),
+        truncated: truncated
+    };
+}
@@ -0,0 +1,118 @@
+// SBOM Worker - fetches and parses SBOM data off the main thread
+// Requests: { id, task: 'package-index', url, products: [{ name, slug }] }
+//           { id, task: 'sbom-graph', url, productName, version }
+// Replies:  { id, progress: { stage: 'download' | 'parse', loaded, total } } while working,
+//           then { id, result } or { id, error }
+
+importScripts('versions.js?v=2', 'sbom-parser.js?v=8');
+
+self.addEventListener('message', async (e) => {
+    const request = e.data;
+    try {
+        let result;
+        if (request.task === 'package-index') {
+            result = indexPackages(await fetchJson(request), request.products);
+        } else if (request.task === 'sbom-graph') {
+            const sbom = await fetchJson(request);
+            result = parseSBOMGraph(sbom, request.productName, request.version);
+        } else {
+            throw new Error(`Unknown task: ${request.task}`);
+        }
+        self.postMessage({ id: request.id, result: result });
+    } catch (error) {
+        self.postMessage({ id: request.id, error: error.message });
+    }
+});
+
+// Read the response in chunks so the page can show how much has arrived.
+// total is 0 when the server doesn't send a usable Content-Length.
+async function fetchJson(request) {
+    const response = await fetch(request.url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${request.url}`);
+    }
+
+    const reportProgress = (stage, loaded, total) => {
+        self.postMessage({ id: request.id, progress: { stage: stage, loaded: loaded, total: total } });
+    };
+
+    let text;
+    if (response.body) {
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const parts = [];
+        let loaded = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            loaded += value.length;
+            parts.push(decoder.decode(value, { stream: true }));
+            // Compressed responses report the compressed length, so it can be overtaken
+            reportProgress('download', loaded, loaded <= total ? total : 0);
+        }
+        parts.push(decoder.decode());
+        text = parts.join('');
+    } else {
+        text = await response.text();
+    }
+
+    reportProgress('parse', text.length, text.length);
+    return JSON.parse(text);
+}
+
+// Search maps from sboms/package-index.json, keyed by product name like the page expects
+function indexPackages(data, products) {
+    const productNames = new Map(products.map(p => [p.slug, p.name]));
+    const productPackages = new Map();
+    const packageToProducts = new Map();
+    const packageDetails = new Map();
+    const packageComponents = new Map();
+
+    Object.entries(data.packages || {}).forEach(([pkgName, entry]) => {
+        Object.entries(entry.products || {}).forEach(([slug, byPackageVersion]) => {
+            const productName = productNames.get(slug);
+            if (!productName) return;
+
+            if (!productPackages.has(productName)) {
+                productPackages.set(productName, new Set());
+            }
+            productPackages.get(productName).add(pkgName);
+
+            // Reverse mapping: package -> products
+            if (!packageToProducts.has(pkgName)) {
+                packageToProducts.set(pkgName, new Set());
+            }
+            packageToProducts.get(pkgName).add(productName);
+
+            // Detailed mapping: package -> product -> list of versions (newest first)
+            if (!packageDetails.has(pkgName)) {
+                packageDetails.set(pkgName, new Map());
+            }
+            const versions = new Set();
+            Object.values(byPackageVersion).forEach(productVersions => {
+                productVersions.forEach(v => versions.add(v));
+            });
+            packageDetails.get(pkgName).set(productName, Array.from(versions).sort((a, b) => compareVersions(b, a)));
+
+            // One entry per package version shipped by the product, for field
+            // queries; purls are the ones this product's components carry
+            if (!packageComponents.has(pkgName)) {
+                packageComponents.set(pkgName, []);
+            }
+            const purlsByVersion = (entry.purls || {})[slug] || {};
+            Object.entries(byPackageVersion).forEach(([packageVersion, productVersions]) => {
+                packageComponents.get(pkgName).push({
+                    productName: productName,
+                    version: packageVersion,
+                    productVersions: productVersions,
+                    licenses: (entry.licenses || {})[packageVersion] || [],
+                    purls: purlsByVersion[packageVersion] || []
+                });
+            });
+        });
+    });
+
+    return { productPackages, packageToProducts, packageDetails, packageComponents };
+}
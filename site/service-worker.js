@@ -0,0 +1,84 @@
+// Service Worker - keeps the site usable when GitHub Pages is blocked or slow
+// build-site.js writes docs/service-worker.js from this file, replacing
+// self.__PRECACHE_MANIFEST with the site files, sboms/index.json and
+// sboms/package-index.json plus a hash of their contents. Any change to those
+// files changes this script, so browsers install the new version on their next visit.
+//
+// - Precached files are served from the cache (query strings like ?v=3 ignored)
+// - SBOM files (and the vulnerability findings and VEX next to them) are
+//   cached the first time they are fetched, then served from the cache and
+//   refreshed in the background
+
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST;
+const PRECACHE = `sbom-site-${PRECACHE_MANIFEST.version}`;
+const SBOM_CACHE = 'sbom-files-v1'; // Must match OFFLINE_SBOM_CACHE in app.js
+const SBOM_PATH = /\/sboms\/[^/]+\/[^/]+\/(?:sbom\.\w+|vex\.cyclonedx|vulnerabilities|version)\.json$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(PRECACHE)
+            .then(cache => cache.addAll(PRECACHE_MANIFEST.files.map(file =>
+                new Request(file.url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the precache of previous builds; cached SBOMs are kept
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('sbom-site-') && name !== PRECACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (SBOM_PATH.test(url.pathname)) {
+        event.respondWith(respondWithSbom(event, url));
+        return;
+    }
+
+    event.respondWith(respondWithPrecache(request, url));
+});
+
+async function respondWithPrecache(request, url) {
+    const cache = await caches.open(PRECACHE);
+    const key = request.mode === 'navigate' && url.pathname.endsWith('/')
+        ? `${url.pathname}index.html`
+        : url.pathname;
+    const cached = await cache.match(key, { ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+// Cached copy first when there is one; the network response replaces it for next time
+async function respondWithSbom(event, url) {
+    const cache = await caches.open(SBOM_CACHE);
+    const key = `${url.origin}${url.pathname}`;
+    const cached = await cache.match(key);
+
+    const update = fetch(event.request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(key, response.clone());
+            if (!cached) notifySbomCached(key);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+// Let open pages mark the version as available offline
+async function notifySbomCached(key) {
+    const clients = await self.clients.matchAll();
+    clients.forEach(client => client.postMessage({ type: 'sbom-cached', url: key }));
+}
@@ -0,0 +1,201 @@
+// Tree Export - shared by the main page tree modal and the standalone tree page
+// Serializes the node structure from sbom-parser.js into downloadable formats.
+
+const TREE_EXPORT_FORMATS = {
+    text: { label: 'Text (ASCII)', extension: 'txt', mimeType: 'text/plain' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    dot: { label: 'Graphviz DOT', extension: 'dot', mimeType: 'text/vnd.graphviz' },
+    mermaid: { label: 'Mermaid', extension: 'mmd', mimeType: 'text/plain' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' }
+};
+
+// Copy of the tree keeping only nodes that match and the paths leading to them
+function filterTreeForExport(node, matches) {
+    const children = (node.children || [])
+        .map(child => filterTreeForExport(child, matches))
+        .filter(Boolean);
+
+    if (node.type !== 'root' && !matches(node) && children.length === 0) {
+        return null;
+    }
+    return { ...node, children: children };
+}
+
+function getExportLicense(node) {
+    return (node.licenses || [])
+        .map(l => l.license?.name || l.license?.id || l.expression)
+        .filter(Boolean)
+        .join(', ');
+}
+
+function getExportLabel(node) {
+    return node.version ? `${node.name}@${node.version}` : node.name;
+}
+
+// Render a tree in one of TREE_EXPORT_FORMATS
+function formatTreeExport(tree, format) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(toExportJson(tree), null, 2);
+        case 'csv':
+            return toExportCsv(tree);
+        case 'dot':
+            return toExportDot(tree);
+        case 'mermaid':
+            return toExportMermaid(tree);
+        case 'markdown':
+            return toExportMarkdown(tree);
+        default:
+            return toExportText(tree);
+    }
+}
+
+function toExportText(tree) {
+    let text = '';
+
+    function exportNode(node, prefix = '', isLast = true) {
+        const connector = isLast ? '└── ' : '├── ';
+        const childPrefix = isLast ? '    ' : '│   ';
+
+        text += prefix + connector + (node.backRef ? '↪ ' : '') + node.name;
+        if (node.version) text += `@${node.version}`;
+        if (node.backRef) text += ' (shown above)';
+        text += '\n';
+
+        if (node.children && node.children.length > 0) {
+            node.children.forEach((child, i) => {
+                exportNode(child, prefix + childPrefix, i === node.children.length - 1);
+            });
+        }
+    }
+
+    exportNode(tree);
+    return text;
+}
+
+function toExportJson(node) {
+    const json = {
+        name: node.name,
+        version: node.version || undefined,
+        type: node.type,
+        purl: node.purl || undefined,
+        license: getExportLicense(node) || undefined
+    };
+    if (node.backRef) {
+        json.shownAbove = true;
+    } else {
+        json.dependencies = (node.children || []).map(toExportJson);
+    }
+    return json;
+}
+
+// One row per parent -> child edge, so shared packages appear once per parent
+function toExportCsv(tree) {
+    const quote = (value) => {
+        const text = String(value ?? '');
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [['name', 'version', 'purl', 'depth', 'parent', 'license']];
+
+    function addRows(node, parent) {
+        (node.children || []).forEach(child => {
+            rows.push([child.name, child.version, child.purl, child.depth, getExportLabel(parent), getExportLicense(child)]);
+            addRows(child, child);
+        });
+    }
+    addRows(tree, tree);
+
+    return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+}
+
+// Walk every parent -> child edge once, visiting each package as a single graph node
+function collectExportEdges(tree) {
+    const nodes = new Map();
+    const edges = new Set();
+
+    function visit(node) {
+        const label = getExportLabel(node);
+        if (!nodes.has(label)) nodes.set(label, node);
+        (node.children || []).forEach(child => {
+            edges.add(`${label}\n${getExportLabel(child)}`);
+            visit(child);
+        });
+    }
+    visit(tree);
+
+    return {
+        nodes: nodes,
+        edges: Array.from(edges).map(edge => edge.split('\n'))
+    };
+}
+
+function toExportDot(tree) {
+    const { nodes, edges } = collectExportEdges(tree);
+    const quote = (text) => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+    const lines = ['digraph dependencies {', '    rankdir=LR;', '    node [shape=box];'];
+    nodes.forEach((node, label) => {
+        if (node.type === 'root') lines.push(`    ${quote(label)} [style=bold];`);
+    });
+    edges.forEach(([from, to]) => lines.push(`    ${quote(from)} -> ${quote(to)};`));
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+function toExportMermaid(tree) {
+    const { nodes, edges } = collectExportEdges(tree);
+    const ids = new Map();
+    Array.from(nodes.keys()).forEach((label, i) => ids.set(label, `n${i}`));
+
+    const lines = ['graph TD'];
+    ids.forEach((id, label) => lines.push(`    ${id}["${label.replace(/"/g, '#quot;')}"]`));
+    edges.forEach(([from, to]) => lines.push(`    ${ids.get(from)} --> ${ids.get(to)}`));
+    return lines.join('\n') + '\n';
+}
+
+function toExportMarkdown(tree) {
+    const lines = [`# ${getExportLabel(tree)}`, ''];
+
+    function addItems(node, indent) {
+        (node.children || []).forEach(child => {
+            const license = getExportLicense(child);
+            const text = child.backRef
+                ? `↪ \`${getExportLabel(child)}\` (shown above)`
+                : `\`${getExportLabel(child)}\`${license ? ` — ${license}` : ''}`;
+            lines.push(`${'  '.repeat(indent)}- ${text}`);
+            addItems(child, indent + 1);
+        });
+    }
+    addItems(tree, 0);
+
+    return lines.join('\n') + '\n';
+}
+
+// Serialize the tree and hand it to the browser as a download
+function downloadTreeExport(tree, format, baseName) {
+    const spec = TREE_EXPORT_FORMATS[format] || TREE_EXPORT_FORMATS.text;
+
+    const blob = new Blob([formatTreeExport(tree, format)], { type: spec.mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${baseName}-dependency-tree.${spec.extension}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Markup for the export dropdown; onSelect is the name of a global taking the format
+function renderTreeExportMenu(onSelect) {
+    return `
+        <label class="export-scope">
+            <input type="checkbox" class="export-filtered-toggle" />
+            Only search matches
+        </label>
+        ${Object.entries(TREE_EXPORT_FORMATS).map(([format, spec]) => `
+            <button class="export-option" onclick="${onSelect}('${format}')">${spec.label}</button>
+        `).join('')}
+    `;
+}
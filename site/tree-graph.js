@@ -0,0 +1,288 @@
+// Tree Graph - node-link view of the dependency graph for the tree modal
+// Lays out tree.graph (from sbom-parser.js) in columns by distance from the
+// root and draws it as SVG. Nodes with many dependents (fan-in hubs) are
+// enlarged and edges inside dependency cycles are marked.
+
+const GRAPH_COLUMN_WIDTH = 280;
+const GRAPH_ROW_HEIGHT = 26;
+const GRAPH_HUB_THRESHOLD = 5;
+const GRAPH_LABEL_LENGTH = 32;
+
+// Nodes, edges, hub and cycle information for tree.graph
+function buildGraphModel(tree) {
+    const { componentMap, dependsOn, nodeIdsByRef } = tree.graph;
+
+    const nodes = new Map();
+    nodes.set('root', { ref: 'root', label: tree.name, version: tree.version, isRoot: true });
+    componentMap.forEach((component, ref) => {
+        nodes.set(ref, { ref: ref, label: component.name, version: component.version, nodeId: nodeIdsByRef.get(ref) });
+    });
+
+    const edges = [];
+    const edgeKeys = new Set();
+    const addEdge = (from, to) => {
+        const key = `${from}\n${to}`;
+        if (!nodes.has(from) || !nodes.has(to) || edgeKeys.has(key)) return;
+        edgeKeys.add(key);
+        edges.push({ from: from, to: to });
+    };
+
+    // Topological roots are not packages; their dependencies hang off the product root
+    const allDependsOnRefs = new Set();
+    dependsOn.forEach(refs => refs.forEach(r => allDependsOnRefs.add(r)));
+    dependsOn.forEach((refs, ref) => {
+        refs.forEach(childRef => addEdge(allDependsOnRefs.has(ref) ? ref : 'root', childRef));
+    });
+    componentMap.forEach((component, ref) => {
+        if (!allDependsOnRefs.has(ref)) addEdge('root', ref);
+    });
+
+    const children = new Map(Array.from(nodes.keys()).map(ref => [ref, []]));
+    const inDegree = new Map(Array.from(nodes.keys()).map(ref => [ref, 0]));
+    edges.forEach(edge => {
+        children.get(edge.from).push(edge.to);
+        if (edge.from !== 'root') inDegree.set(edge.to, inDegree.get(edge.to) + 1);
+    });
+
+    const components = findStronglyConnected(Array.from(nodes.keys()), children);
+    edges.forEach(edge => {
+        edge.inCycle = components.get(edge.from) === components.get(edge.to) &&
+            (edge.from === edge.to || components.cycleIds.has(components.get(edge.from)));
+    });
+
+    nodes.forEach((node, ref) => {
+        node.inDegree = inDegree.get(ref);
+        node.isHub = !node.isRoot && node.inDegree >= GRAPH_HUB_THRESHOLD;
+        node.inCycle = components.cycleIds.has(components.get(ref)) ||
+            children.get(ref).includes(ref);
+    });
+
+    return { nodes: nodes, edges: edges, children: children };
+}
+
+// Tarjan's algorithm, iterative so deep graphs don't overflow the stack.
+// Returns ref -> component id, with cycleIds holding components of 2+ nodes.
+function findStronglyConnected(refs, children) {
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const componentOf = new Map();
+    const sizes = new Map();
+    let nextIndex = 0;
+    let nextComponent = 0;
+
+    refs.forEach(start => {
+        if (index.has(start)) return;
+
+        const work = [{ ref: start, childIndex: 0 }];
+        index.set(start, nextIndex);
+        lowLink.set(start, nextIndex++);
+        stack.push(start);
+        onStack.add(start);
+
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            const kids = children.get(frame.ref);
+
+            if (frame.childIndex < kids.length) {
+                const child = kids[frame.childIndex++];
+                if (!index.has(child)) {
+                    index.set(child, nextIndex);
+                    lowLink.set(child, nextIndex++);
+                    stack.push(child);
+                    onStack.add(child);
+                    work.push({ ref: child, childIndex: 0 });
+                } else if (onStack.has(child)) {
+                    lowLink.set(frame.ref, Math.min(lowLink.get(frame.ref), index.get(child)));
+                }
+                continue;
+            }
+
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].ref;
+                lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.ref)));
+            }
+
+            if (lowLink.get(frame.ref) === index.get(frame.ref)) {
+                let member;
+                let size = 0;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    componentOf.set(member, nextComponent);
+                    size++;
+                } while (member !== frame.ref);
+                sizes.set(nextComponent++, size);
+            }
+        }
+    });
+
+    componentOf.cycleIds = new Set(Array.from(sizes).filter(([, size]) => size > 1).map(([id]) => id));
+    return componentOf;
+}
+
+// Column = shortest distance from the root; rows ordered by parents' positions
+function layoutGraphModel(model) {
+    const depth = new Map([['root', 0]]);
+    const queue = ['root'];
+    while (queue.length > 0) {
+        const ref = queue.shift();
+        model.children.get(ref).forEach(child => {
+            if (!depth.has(child)) {
+                depth.set(child, depth.get(ref) + 1);
+                queue.push(child);
+            }
+        });
+    }
+
+    const parents = new Map();
+    model.edges.forEach(edge => {
+        if (!parents.has(edge.to)) parents.set(edge.to, []);
+        parents.get(edge.to).push(edge.from);
+    });
+
+    const columns = [];
+    depth.forEach((d, ref) => {
+        (columns[d] = columns[d] || []).push(ref);
+    });
+
+    const row = new Map([['root', 0]]);
+    columns.forEach((column, d) => {
+        if (d === 0) return;
+        const weight = (ref) => {
+            const placed = (parents.get(ref) || []).filter(p => depth.get(p) < d);
+            return placed.length > 0
+                ? placed.reduce((sum, p) => sum + row.get(p), 0) / placed.length
+                : 0;
+        };
+        column.sort((a, b) => weight(a) - weight(b) ||
+            model.nodes.get(a).label.localeCompare(model.nodes.get(b).label));
+        column.forEach((ref, i) => row.set(ref, i));
+    });
+
+    const tallest = Math.max(...columns.map(column => column.length));
+    columns.forEach((column, d) => {
+        const offset = (tallest - column.length) * GRAPH_ROW_HEIGHT / 2;
+        column.forEach((ref, i) => {
+            const node = model.nodes.get(ref);
+            node.x = d * GRAPH_COLUMN_WIDTH;
+            node.y = offset + i * GRAPH_ROW_HEIGHT;
+        });
+    });
+
+    return {
+        width: (columns.length - 1) * GRAPH_COLUMN_WIDTH + GRAPH_COLUMN_WIDTH,
+        height: tallest * GRAPH_ROW_HEIGHT
+    };
+}
+
+function getGraphNodeRadius(node) {
+    if (node.isRoot) return 9;
+    return node.isHub ? Math.min(14, 5 + Math.sqrt(node.inDegree) * 1.5) : 5;
+}
+
+// SVG markup for the laid out model
+function renderGraphSvg(model, bounds) {
+    const placed = (node) => node && node.x !== undefined;
+    const truncate = (text) => text.length > GRAPH_LABEL_LENGTH ? `${text.slice(0, GRAPH_LABEL_LENGTH - 1)}…` : text;
+
+    const edgesSvg = model.edges.map(edge => {
+        const from = model.nodes.get(edge.from);
+        const to = model.nodes.get(edge.to);
+        if (!placed(from) || !placed(to)) return '';
+
+        // Edges pointing back to an earlier column arc away so they stay visible
+        const backwards = to.x <= from.x;
+        const bend = backwards ? GRAPH_COLUMN_WIDTH / 2 : (to.x - from.x) / 2;
+        const path = backwards
+            ? `M${from.x},${from.y} C${from.x + bend},${from.y - 40} ${to.x - bend},${to.y - 40} ${to.x},${to.y}`
+            : `M${from.x},${from.y} C${from.x + bend},${from.y} ${to.x - bend},${to.y} ${to.x},${to.y}`;
+        return `<path class="graph-edge ${edge.inCycle ? 'cycle' : ''}" data-from="${escapeHtml(edge.from)}" data-to="${escapeHtml(edge.to)}" d="${path}"></path>`;
+    }).join('');
+
+    const nodesSvg = Array.from(model.nodes.values()).filter(placed).map(node => {
+        const classes = [
+            'graph-node',
+            node.isRoot ? 'root' : '',
+            node.isHub ? 'hub' : '',
+            node.inCycle ? 'cycle' : ''
+        ].filter(Boolean).join(' ');
+        const label = node.version ? `${node.label}@${node.version}` : node.label;
+        const tooltip = `${label}${node.isRoot ? '' : ` — ${node.inDegree} dependent${node.inDegree === 1 ? '' : 's'}`}${node.inCycle ? ' — in a dependency cycle' : ''}`;
+
+        return `
+            <g class="${classes}" data-ref="${escapeHtml(node.ref)}" transform="translate(${node.x},${node.y})">
+                <title>${escapeHtml(tooltip)}</title>
+                <circle r="${getGraphNodeRadius(node)}"></circle>
+                <text x="${getGraphNodeRadius(node) + 4}" y="4">${escapeHtml(truncate(node.label))}${node.isHub ? ` (×${node.inDegree})` : ''}</text>
+            </g>
+        `;
+    }).join('');
+
+    return `
+        <svg class="graph-svg" xmlns="http://www.w3.org/2000/svg">
+            <g class="graph-viewport" data-width="${bounds.width}" data-height="${bounds.height}">
+                <g class="graph-edges">${edgesSvg}</g>
+                <g class="graph-nodes">${nodesSvg}</g>
+            </g>
+        </svg>
+    `;
+}
+
+// Wheel zoom around the cursor, drag to pan; returns controls for buttons
+function attachGraphZoom(svg) {
+    const viewport = svg.querySelector('.graph-viewport');
+    const view = { scale: 1, x: 0, y: 0 };
+    const apply = () => viewport.setAttribute('transform', `translate(${view.x},${view.y}) scale(${view.scale})`);
+
+    const zoomAt = (factor, cx, cy) => {
+        const scale = Math.min(4, Math.max(0.05, view.scale * factor));
+        view.x = cx - (cx - view.x) * (scale / view.scale);
+        view.y = cy - (cy - view.y) * (scale / view.scale);
+        view.scale = scale;
+        apply();
+    };
+
+    svg.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const rect = svg.getBoundingClientRect();
+        zoomAt(Math.exp(-e.deltaY * 0.0015), e.clientX - rect.left, e.clientY - rect.top);
+    }, { passive: false });
+
+    let drag = null;
+    svg.addEventListener('pointerdown', (e) => {
+        if (e.target.closest('.graph-node')) return;
+        drag = { x: e.clientX - view.x, y: e.clientY - view.y };
+        svg.classList.add('dragging');
+    });
+    svg.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        view.x = e.clientX - drag.x;
+        view.y = e.clientY - drag.y;
+        apply();
+    });
+    const endDrag = () => {
+        drag = null;
+        svg.classList.remove('dragging');
+    };
+    svg.addEventListener('pointerup', endDrag);
+    svg.addEventListener('pointerleave', endDrag);
+
+    const fit = () => {
+        const rect = svg.getBoundingClientRect();
+        const width = Number(viewport.dataset.width) + 200;
+        const height = Number(viewport.dataset.height) + 40;
+        view.scale = Math.min(1, Math.max(0.05, Math.min(rect.width / width, rect.height / height))) || 1;
+        view.x = 40 * view.scale + Math.max(0, (rect.width - width * view.scale) / 2);
+        view.y = 20 * view.scale + Math.max(0, (rect.height - height * view.scale) / 2);
+        apply();
+    };
+
+    return {
+        fit: fit,
+        zoomIn: () => zoomAt(1.25, svg.clientWidth / 2, svg.clientHeight / 2),
+        zoomOut: () => zoomAt(0.8, svg.clientWidth / 2, svg.clientHeight / 2)
+    };
+}
@@ -0,0 +1,173 @@
+// Vulnerabilities - known vulnerabilities from the offline OSV overlay and our
+// own VEX statements. Shared by the main page (version badges, tree modal) and
+// the standalone tree page. scripts/build-vulnerabilities.js writes
+// sboms/vulnerability-summary.json and a vulnerabilities.json next to each
+// CycloneDX SBOM; VEX statements are kept by hand in a vex.cyclonedx.json
+// there. Without these files no badges are shown.
+
+const VULNERABILITY_SEVERITIES = ['critical', 'high', 'medium', 'low', 'unknown'];
+const VULNERABILITY_SEVERITY_LABELS = {
+    critical: 'Critical',
+    high: 'High',
+    medium: 'Medium',
+    low: 'Low',
+    unknown: 'Unrated'
+};
+
+// CycloneDX analysis states -> the VEX statuses shown on the site
+const VEX_STATUSES = {
+    not_affected: 'not_affected',
+    false_positive: 'not_affected',
+    exploitable: 'affected',
+    resolved: 'fixed',
+    resolved_with_pedigree: 'fixed',
+    in_triage: 'under_investigation'
+};
+const VEX_STATUS_LABELS = {
+    not_affected: 'Not affected',
+    affected: 'Affected',
+    fixed: 'Fixed',
+    under_investigation: 'Under investigation'
+};
+
+// Findings and VEX files sit next to the SBOM, whichever format is shown
+function getSbomSiblingUrl(sbomUrl, fileName) {
+    return String(sbomUrl).replace(/[^/?#]*(?:[?#].*)?$/, fileName);
+}
+
+// Fetch a version's findings as a Map of purl (and name@version) to the
+// component's entry; resolves to null when the version has no findings file
+async function loadComponentVulnerabilities(sbomUrl) {
+    try {
+        const response = await fetch(getSbomSiblingUrl(sbomUrl, 'vulnerabilities.json'));
+        if (!response.ok) return null;
+
+        const findings = await response.json();
+        const byComponent = new Map();
+        (findings.components || []).forEach(component => {
+            if (component.purl) byComponent.set(component.purl, component);
+            byComponent.set(`${component.name}@${component.version}`, component);
+        });
+        return byComponent;
+    } catch (error) {
+        console.warn('Vulnerability findings not loaded:', error.message);
+        return null;
+    }
+}
+
+// The findings entry for a tree node or component, or null
+function getComponentVulnerabilities(findings, component) {
+    if (!findings || !component) return null;
+    return (component.purl && findings.get(component.purl)) ||
+        findings.get(`${component.name}@${component.version}`) || null;
+}
+
+// Compact badge for a tree row: worst severity and advisory count
+function renderVulnerabilityBadge(entry) {
+    if (!entry) return '';
+    const count = entry.vulnerabilities.length;
+    const ids = entry.vulnerabilities.map(v => `${v.id} (${VULNERABILITY_SEVERITY_LABELS[v.severity]})`).join(', ');
+    return `<span class="vuln-badge vuln-${entry.severity}" title="${escapeHtml(ids).replace(/"/g, '&quot;')}">` +
+        `${VULNERABILITY_SEVERITY_LABELS[entry.severity]}${count > 1 ? ` ×${count}` : ''}</span>`;
+}
+
+// Severity counts of a vulnerability-summary.json entry, worst first
+function renderVulnerabilityCounts(summary) {
+    if (!summary) return '';
+    if (summary.total === 0) {
+        return '<span class="vuln-count vuln-none" title="No known vulnerabilities in the OSV snapshot">✓ No known vulnerabilities</span>';
+    }
+    return VULNERABILITY_SEVERITIES
+        .filter(severity => summary[severity] > 0)
+        .map(severity => `<span class="vuln-count vuln-${severity}">${summary[severity]} ${VULNERABILITY_SEVERITY_LABELS[severity].toLowerCase()}</span>`)
+        .join('');
+}
+
+// Advisory list for the component details panel, with our VEX status for
+// advisories a statement covers (by id or alias)
+function renderVulnerabilityList(entry, vexStatements) {
+    if (!entry) return '';
+    const findStatement = (v) => (vexStatements || []).find(s => s.id === v.id || v.aliases.includes(s.id));
+    return `<ul class="detail-list vuln-list">${entry.vulnerabilities.map(v => `
+        <li>
+            ${findStatement(v) ? renderVexStatus(findStatement(v)) : ''}
+            <span class="vuln-badge vuln-${v.severity}">${VULNERABILITY_SEVERITY_LABELS[v.severity]}${v.score !== null && v.score !== undefined ? ` ${v.score}` : ''}</span>
+            <a href="${escapeHtml(v.url).replace(/"/g, '&quot;')}" target="_blank" rel="noopener">${escapeHtml(v.id)}</a>
+            ${v.aliases.length > 0 ? `<span class="vuln-aliases">${escapeHtml(v.aliases.join(', '))}</span>` : ''}
+            ${v.summary ? `<div class="vuln-summary">${escapeHtml(v.summary)}</div>` : ''}
+            <div class="vuln-fixed">${v.fixed.length > 0 ? `Fixed in ${escapeHtml(v.fixed.join(', '))}` : 'No fixed version'}</div>
+        </li>`).join('')}
+    </ul>`;
+}
+
+// A version's VEX statements, or null when it has none or they can't be read
+async function loadVexStatements(sbomUrl) {
+    try {
+        const response = await fetch(getSbomSiblingUrl(sbomUrl, 'vex.cyclonedx.json'));
+        if (!response.ok) return null;
+        return parseVexStatements(await response.json());
+    } catch (error) {
+        console.warn('VEX statements not loaded:', error.message);
+        return null;
+    }
+}
+
+// { id, status, justification, detail, response, refs } per CycloneDX
+// vulnerability. Refs may be bom-refs, purls or BOM-Link URNs
+// (urn:cdx:serial/version#bom-ref); only the bom-ref part is kept.
+function parseVexStatements(vex) {
+    return (vex.vulnerabilities || []).map(v => {
+        const analysis = v.analysis || {};
+        return {
+            id: v.id || '',
+            status: VEX_STATUSES[analysis.state] || 'under_investigation',
+            justification: analysis.justification || '',
+            detail: analysis.detail || '',
+            response: analysis.response || [],
+            refs: (v.affects || []).map(a => String(a.ref || '').replace(/^urn:cdx:[^#]*#/, '')).filter(Boolean)
+        };
+    });
+}
+
+// Statements affecting a tree node: by bom-ref, or by purl ignoring qualifiers
+function getComponentVexStatements(statements, node) {
+    if (!statements || !node) return [];
+    const purl = (ref) => String(ref || '').replace(/[?#].*$/, '').replace(/%40/gi, '@').toLowerCase();
+    const nodePurl = purl(node.purl);
+    return statements.filter(s => s.refs.some(ref =>
+        ref === node.ref || (nodePurl && purl(ref) === nodePurl)));
+}
+
+// "code_not_reachable" -> "Code not reachable" (justifications and responses)
+function formatVexJustification(justification) {
+    const text = String(justification || '').replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function renderVexStatus(statement) {
+    return `<span class="vex-status vex-${statement.status}" title="VEX: ${VEX_STATUS_LABELS[statement.status]}">` +
+        `${VEX_STATUS_LABELS[statement.status]}</span>`;
+}
+
+// One statement: status, vulnerability id, justification and detail
+function renderVexStatement(statement) {
+    return `
+        <span class="vex-statement">
+            ${renderVexStatus(statement)}
+            <strong>${escapeHtml(statement.id)}</strong>
+            ${statement.justification ? `<span class="vex-justification">${escapeHtml(formatVexJustification(statement.justification))}</span>` : ''}
+            ${statement.response.length > 0 ? `<span class="vex-justification">Response: ${escapeHtml(statement.response.map(formatVexJustification).join(', '))}</span>` : ''}
+            ${statement.detail ? `<span class="vex-detail">${escapeHtml(statement.detail)}</span>` : ''}
+        </span>
+    `;
+}
+
+// Compact tree row badge: the status of a single statement, else the count
+function renderVexBadge(statements) {
+    if (!statements || statements.length === 0) return '';
+    const title = statements.map(s => `${s.id}: ${VEX_STATUS_LABELS[s.status]}` +
+        `${s.justification ? ` (${formatVexJustification(s.justification)})` : ''}`).join('; ');
+    const status = statements.length === 1 ? statements[0].status : 'multiple';
+    return `<span class="vex-badge vex-${status}" title="${escapeHtml(title).replace(/"/g, '&quot;')}">` +
+        `VEX${statements.length === 1 ? `: ${VEX_STATUS_LABELS[status]}` : ` ×${statements.length}`}</span>`;
+}